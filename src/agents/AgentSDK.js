@@ -1,29 +1,112 @@
+import fs from 'fs-extra';
+import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import { createChatCompletion, createFunctionCall } from '../config/openai.js';
+import { z } from 'zod';
+import { createChatCompletion, createToolCall, createStructuredCompletion, getProvider, getModel, modelSupports } from '../config/openai.js';
 import { WebSearchAgent } from './WebSearchAgent.js';
 import { FileSearchAgent } from './FileSearchAgent.js';
 import { ComputerUseAgent } from './ComputerUseAgent.js';
+import { createStorage } from '../storage/index.js';
+
+const DEFAULT_MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS) || 5;
+// Upper bound for maxSteps from agent configs and requests; every step is a model call
+export const MAX_AGENT_STEPS = parseInt(process.env.AGENT_MAX_STEPS_LIMIT) || 20;
+const MAX_TOOL_RESULT_LENGTH = 4000;
+
+// Computer use actions agents may call. Destructive and outbound actions (delete_file, move_file,
+// browse_web, send_email, ...) are only offered when listed in AGENT_COMPUTER_ACTIONS.
+const COMPUTER_ACTIONS = (process.env.AGENT_COMPUTER_ACTIONS || 'list_files,get_system_info')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+// Computer use parameters that name files or folders; they must be inside the upload directory
+const PATH_PARAMETERS = ['directory', 'path', 'filePath', 'folderPath', 'oldPath', 'newPath', 'newName', 'source', 'destination', 'outputPath'];
+
+/**
+ * A step count between 1 and MAX_AGENT_STEPS, or the default when none (or nonsense) is given
+ */
+export function clampSteps(maxSteps) {
+  const steps = parseInt(maxSteps);
+  return Number.isFinite(steps) && steps > 0 ? Math.min(steps, MAX_AGENT_STEPS) : DEFAULT_MAX_STEPS;
+}
+
+/**
+ * An agent config that can't be used, e.g. an unknown provider or tools that aren't a list
+ */
+export class AgentConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AgentConfigError';
+    this.status = 400;
+    this.code = 'INVALID_AGENT_CONFIG';
+  }
+}
+
+/**
+ * Check the fields of an agent config that would otherwise only fail once the agent runs
+ */
+function validateAgentConfig({ tools, provider, model }) {
+  if (tools !== undefined && (!Array.isArray(tools) || !tools.every(tool => typeof tool === 'string'))) {
+    throw new AgentConfigError('tools must be an array of tool names');
+  }
+
+  // Fail early on an unknown provider or model name
+  if (provider || model) {
+    try {
+      getModel(model, getProvider(provider));
+    } catch (error) {
+      throw error.status ? error : new AgentConfigError(error.message);
+    }
+  }
+}
+
+const TaskAnalysisSchema = z.object({
+  taskType: z.string().describe('Short category for the task, e.g. research, file_analysis, automation, general'),
+  requiredTools: z.array(z.string()).describe('Names of the available tools needed for the task'),
+  complexity: z.enum(['low', 'medium', 'high']),
+  estimatedSteps: z.array(z.string()).describe('Ordered list of steps')
+});
 
 export class AgentSDK {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'AgentSDK';
     this.description = 'SDK for building custom AI agents that can think, plan, use tools, and talk with other agents';
-    this.agents = new Map();
-    this.conversations = new Map();
+    this.storage = options.storage || createStorage();
+    this.uploadDir = options.uploadDir || process.env.UPLOAD_DIR || './uploads';
+    this.computerActions = options.computerActions || COMPUTER_ACTIONS;
     this.tools = this.initializeTools();
+    // Tools for agents with their own provider or model, keyed by "provider:model"
+    this.agentTools = new Map();
   }
 
   /**
-   * Initialize available tools for agents
+   * Initialize available tools for agents; options (provider, model) are where the tools send their model calls
    */
-  initializeTools() {
+  initializeTools(options = {}) {
     return {
-      web_search: new WebSearchAgent(),
-      file_search: new FileSearchAgent(),
+      web_search: new WebSearchAgent(options),
+      file_search: new FileSearchAgent(options),
       computer_use: new ComputerUseAgent()
     };
   }
 
+  /**
+   * Tools that use the agent's provider and model, built once for each provider and model in use
+   */
+  getTools(agent = {}) {
+    const { provider, model } = this.getCompletionTarget(agent);
+    if (!provider && !model) {
+      return this.tools;
+    }
+
+    const key = `${provider || ''}:${model || ''}`;
+    if (!this.agentTools.has(key)) {
+      this.agentTools.set(key, this.initializeTools({ provider, model }));
+    }
+    return this.agentTools.get(key);
+  }
+
   /**
    * Create a new custom agent
    */
@@ -38,12 +121,16 @@ export class AgentSDK {
         personality = 'helpful',
         memory = true,
         max_tokens = 2000,
-        temperature = 0.7
+        temperature = 0.7,
+        maxSteps = DEFAULT_MAX_STEPS,
+        provider,
+        model
       } = config;
 
       if (!name) {
-        throw new Error('Agent name is required');
+        throw new AgentConfigError('Agent name is required');
       }
+      validateAgentConfig({ tools, provider, model });
 
       const agentId = uuidv4();
       const agent = {
@@ -52,17 +139,20 @@ export class AgentSDK {
         description,
         capabilities,
         systemPrompt: systemPrompt || this.generateDefaultSystemPrompt(name, description, capabilities),
-              tools,
-      personality,
-      memory,
-      max_tokens,
-      temperature,
+        tools,
+        personality,
+        memory,
+        max_tokens,
+        temperature,
+        maxSteps: clampSteps(maxSteps),
+        provider: provider || null,
+        model: model || null,
         created: new Date().toISOString(),
         conversations: [],
         status: 'active'
       };
 
-      this.agents.set(agentId, agent);
+      await this.storage.saveAgent(agent);
 
       console.log(`🤖 Created agent: ${name} (${agentId})`);
 
@@ -74,6 +164,7 @@ export class AgentSDK {
           description,
           capabilities,
           tools,
+          provider: agent.provider,
           created: agent.created
         }
       };
@@ -81,7 +172,8 @@ export class AgentSDK {
       console.error('Agent creation error:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        ...(error.code && { code: error.code })
       };
     }
   }
@@ -91,7 +183,7 @@ export class AgentSDK {
    */
   async executeAgent(agentId, task, context = {}) {
     try {
-      const agent = this.agents.get(agentId);
+      const agent = await this.storage.getAgent(agentId);
       if (!agent) {
         throw new Error('Agent not found');
       }
@@ -100,17 +192,18 @@ export class AgentSDK {
 
       // Create conversation if it doesn't exist
       const conversationId = context.conversationId || uuidv4();
-      if (!this.conversations.has(conversationId)) {
-        this.conversations.set(conversationId, {
+      let conversation = await this.storage.getConversation(conversationId);
+      if (!conversation) {
+        conversation = {
           id: conversationId,
           agentId,
           messages: [],
           created: new Date().toISOString()
-        });
+        };
+        agent.conversations.push(conversationId);
+        await this.storage.saveAgent(agent);
       }
 
-      const conversation = this.conversations.get(conversationId);
-
       // Prepare the execution environment
       const executionResult = await this.processAgentTask(agent, task, conversation, context);
 
@@ -128,7 +221,12 @@ export class AgentSDK {
         timestamp: new Date().toISOString()
       });
 
-      return executionResult;
+      await this.storage.saveConversation(conversation);
+
+      return {
+        ...executionResult,
+        conversationId
+      };
     } catch (error) {
       console.error('Agent execution error:', error);
       return {
@@ -151,8 +249,8 @@ export class AgentSDK {
       // Step 2: Plan the execution
       const plan = await this.createExecutionPlan(agent, task, analysis, context);
       
-      // Step 3: Execute the plan
-      const execution = await this.executePlan(agent, plan, context);
+      // Step 3: Execute the plan (tool-calling loop)
+      const execution = await this.executePlan(agent, task, plan, context);
       
       // Step 4: Generate final response
       const response = await this.generateFinalResponse(agent, task, execution, context);
@@ -166,6 +264,7 @@ export class AgentSDK {
         plan,
         execution,
         response,
+        steps: execution.steps || [],
         toolCalls: execution.toolCalls || [],
         timestamp: new Date().toISOString()
       };
@@ -191,26 +290,29 @@ export class AgentSDK {
         },
         {
           role: 'user',
-          content: `Analyze this task and determine what tools or actions are needed: "${task}"\n\nContext: ${JSON.stringify(context)}\n\nRespond with a JSON object containing: { "taskType": "...", "requiredTools": [...], "complexity": "low/medium/high", "estimatedSteps": [...] }`
+          content: `Analyze this task and determine what tools or actions are needed: "${task}"\n\nContext: ${JSON.stringify(context)}`
         }
       ];
 
-      const response = await createChatCompletion(messages, {
-        temperature: 0.3,
-        max_tokens: 500
-      });
-
       try {
-        const analysis = JSON.parse(response.choices[0].message.content);
-        return analysis;
-      } catch {
-        // Fallback if JSON parsing fails
+        const { data } = await createStructuredCompletion(messages, TaskAnalysisSchema, {
+          ...this.getCompletionTarget(agent),
+          temperature: 0.3,
+          max_tokens: 500
+        });
+        return data;
+      } catch (error) {
+        if (error.code !== 'STRUCTURED_OUTPUT_INVALID') {
+          throw error;
+        }
+
+        // Fallback if the model never produced a valid analysis
         return {
           taskType: 'general',
           requiredTools: agent.tools,
           complexity: 'medium',
           estimatedSteps: ['Analyze task', 'Execute', 'Respond'],
-          rawAnalysis: response.choices[0].message.content
+          validationError: error.message
         };
       }
     } catch (error) {
@@ -240,6 +342,7 @@ export class AgentSDK {
       ];
 
       const response = await createChatCompletion(messages, {
+        ...this.getCompletionTarget(agent),
         temperature: 0.3,
         max_tokens: 800
       });
@@ -260,34 +363,107 @@ export class AgentSDK {
   }
 
   /**
-   * Execute the planned steps
+   * Execute the planned steps by letting the model call tools until it produces a final answer
    */
-  async executePlan(agent, plan, context) {
+  async executePlan(agent, task, plan, context) {
+    const results = [];
+    const toolCalls = [];
+    const steps = [];
+
     try {
-      const results = [];
-      const toolCalls = [];
+      const maxSteps = clampSteps(context.maxSteps || agent.maxSteps);
+      // Providers and models without tool support run the loop as a single plain completion
+      const toolDefinitions = modelSupports('tools', agent.model || undefined, getProvider(agent.provider || undefined))
+        ? this.getToolDefinitions(agent.tools)
+        : [];
+
+      const messages = [
+        {
+          role: 'system',
+          content: `${agent.systemPrompt}\n\nYou are executing a task. Call the available tools whenever you need information or need to take an action, then reply with your final answer once you have everything you need.`
+        },
+        {
+          role: 'user',
+          content: `Task: "${task}"\n\nExecution Plan:\n${plan.steps}\n\nContext: ${JSON.stringify(context)}`
+        }
+      ];
+
+      for (let step = 1; step <= maxSteps; step++) {
+        const completionOptions = {
+          ...this.getCompletionTarget(agent),
+          temperature: agent.temperature,
+          max_tokens: agent.max_tokens
+        };
+
+        const response = toolDefinitions.length > 0
+          ? await createToolCall(messages, toolDefinitions, completionOptions)
+          : await createChatCompletion(messages, completionOptions);
+
+        const message = response.choices[0].message;
+        messages.push(message);
+
+        if (!message.tool_calls || message.tool_calls.length === 0) {
+          steps.push({
+            step,
+            type: 'final_answer',
+            content: message.content,
+            timestamp: new Date().toISOString()
+          });
+
+          return {
+            results,
+            toolCalls,
+            steps,
+            finalAnswer: message.content,
+            status: 'completed'
+          };
+        }
+
+        for (const toolCall of message.tool_calls) {
+          const toolName = toolCall.function.name;
+          const args = this.parseToolArguments(toolCall.function.arguments);
+
+          console.log(`🛠️ Step ${step}: ${agent.name} calling ${toolName}`);
+
+          const toolResult = agent.tools.includes(toolName)
+            ? await this.executeTool(toolName, args, agent)
+            : { success: false, error: `Tool not available to this agent: ${toolName}`, tool: toolName };
 
-      // Check if any tools need to be called
-      for (const toolName of plan.requiredTools) {
-        if (this.tools[toolName]) {
-          const toolResult = await this.executeTool(toolName, context);
           results.push(toolResult);
           toolCalls.push({
+            id: toolCall.id,
             tool: toolName,
+            arguments: args,
             result: toolResult
           });
+          steps.push({
+            step,
+            type: 'tool_call',
+            tool: toolName,
+            arguments: args,
+            result: toolResult,
+            timestamp: new Date().toISOString()
+          });
+
+          messages.push({
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            content: this.serializeToolResult(toolResult)
+          });
         }
       }
 
       return {
         results,
         toolCalls,
-        status: 'completed'
+        steps,
+        status: 'max_steps_reached'
       };
     } catch (error) {
       return {
-        results: [],
-        toolCalls: [],
+        results,
+        toolCalls,
+        steps,
         status: 'failed',
         error: error.message
       };
@@ -295,34 +471,179 @@ export class AgentSDK {
   }
 
   /**
-   * Execute a specific tool
+   * Provider and model an agent's completions are sent to, and the label its usage is recorded under
+   */
+  getCompletionTarget(agent) {
+    return {
+      provider: agent.provider || undefined,
+      model: agent.model || undefined,
+      agent: agent.name
+    };
+  }
+
+  /**
+   * Build tool definitions (JSON schema) for the tools an agent is allowed to use
+   */
+  getToolDefinitions(toolNames = []) {
+    const definitions = {
+      web_search: {
+        description: 'Search the internet for up-to-date information and get an AI synthesis of the results',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'The search query' },
+            maxResults: { type: 'integer', description: 'Maximum number of results to return (default 5)' }
+          },
+          required: ['query']
+        }
+      },
+      file_search: {
+        description: 'Search inside an uploaded file (PDF, Word, Excel, text, CSV or JSON) and answer a question about it',
+        parameters: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', description: `Path of the file to search, inside ${this.uploadDir}` },
+            query: { type: 'string', description: 'What to look for in the file' }
+          },
+          required: ['filePath', 'query']
+        }
+      },
+      computer_use: {
+        description: `Perform a computer automation action on files inside ${this.uploadDir}`,
+        parameters: {
+          type: 'object',
+          properties: {
+            action: {
+              type: 'string',
+              enum: this.computerActions,
+              description: 'The predefined action to perform'
+            },
+            parameters: { type: 'object', description: `Parameters for the action, e.g. { "directory": "${this.uploadDir}" }` }
+          },
+          required: ['action']
+        }
+      }
+    };
+
+    return toolNames
+      .filter(toolName => this.tools[toolName] && definitions[toolName])
+      .filter(toolName => toolName !== 'computer_use' || this.computerActions.length > 0)
+      .map(toolName => ({
+        type: 'function',
+        function: {
+          name: toolName,
+          ...definitions[toolName]
+        }
+      }));
+  }
+
+  /**
+   * Parse model-generated tool arguments
+   */
+  parseToolArguments(rawArguments) {
+    try {
+      return JSON.parse(rawArguments || '{}');
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Serialize a tool result so it can be fed back to the model
    */
-  async executeTool(toolName, context) {
+  serializeToolResult(result) {
+    const serialized = typeof result === 'object' ? JSON.stringify(result) : String(result);
+    return serialized.length > MAX_TOOL_RESULT_LENGTH
+      ? `${serialized.substring(0, MAX_TOOL_RESULT_LENGTH)}... [truncated]`
+      : serialized;
+  }
+
+  /**
+   * Resolve a model-supplied path (following symlinks for the part that exists), or null when it is
+   * outside the upload directory
+   */
+  async resolveUploadPath(filePath) {
+    const uploadRoot = await fs.realpath(this.uploadDir);
+    let existing = path.resolve(String(filePath));
+    const missing = [];
+    while (!await fs.pathExists(existing)) {
+      missing.unshift(path.basename(existing));
+      existing = path.dirname(existing);
+    }
+
+    const resolved = path.join(await fs.realpath(existing), ...missing);
+    const relative = path.relative(uploadRoot, resolved);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? null : resolved;
+  }
+
+  /**
+   * Check a computer use call against the action allowlist and keep its paths inside the upload directory
+   */
+  async prepareComputerAction(action, parameters = {}) {
+    if (!this.computerActions.includes(action)) {
+      throw new Error(`Computer use action not allowed: ${action}`);
+    }
+
+    const prepared = { ...parameters };
+    if (action === 'list_files' && !prepared.directory && !prepared.path) {
+      prepared.directory = this.uploadDir;
+    }
+    if (action === 'take_screenshot' && !prepared.outputPath) {
+      prepared.outputPath = path.join(this.uploadDir, `screenshot-${Date.now()}.png`);
+    }
+
+    for (const key of PATH_PARAMETERS) {
+      // A bare new name stays in the folder of the file being renamed
+      if (prepared[key] === undefined || (key === 'newName' && path.basename(String(prepared[key])) === prepared[key])) {
+        continue;
+      }
+      const resolved = await this.resolveUploadPath(prepared[key]);
+      if (!resolved) {
+        throw new Error(`${key} must be inside ${this.uploadDir}`);
+      }
+      prepared[key] = resolved;
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Execute a specific tool with model-generated arguments, on the calling agent's provider and model
+   */
+  async executeTool(toolName, args = {}, agent = {}) {
     try {
-      const tool = this.tools[toolName];
+      const tool = this.getTools(agent)[toolName];
       if (!tool) {
         throw new Error(`Tool not found: ${toolName}`);
       }
 
       switch (toolName) {
         case 'web_search':
-          if (context.query) {
-            return await tool.search(context.query, context.maxResults || 5);
+          if (args.query) {
+            return await tool.search(args.query, args.maxResults || 5);
           }
           break;
         case 'file_search':
-          if (context.filePath && context.query) {
-            return await tool.searchInFile(context.filePath, context.query);
+          if (args.filePath && args.query) {
+            const filePath = await this.resolveUploadPath(args.filePath);
+            if (!filePath) {
+              throw new Error(`filePath must be inside ${this.uploadDir}`);
+            }
+            return await tool.searchInFile(filePath, args.query);
           }
           break;
         case 'computer_use':
-          if (context.action || context.command) {
-            return await tool.execute(context);
+          // Only predefined actions: shell commands are never run for an agent
+          if (args.action) {
+            return await tool.execute({
+              action: args.action,
+              parameters: await this.prepareComputerAction(args.action, args.parameters || {})
+            });
           }
           break;
       }
 
-      throw new Error(`Tool ${toolName} requires additional context`);
+      throw new Error(`Tool ${toolName} was called with missing arguments`);
     } catch (error) {
       return {
         success: false,
@@ -336,6 +657,10 @@ export class AgentSDK {
    * Generate final response based on execution results
    */
   async generateFinalResponse(agent, task, execution, context) {
+    if (execution.finalAnswer) {
+      return execution.finalAnswer;
+    }
+
     try {
       const executionSummary = execution.results.map(result => 
         typeof result === 'object' ? JSON.stringify(result, null, 2) : result
@@ -353,6 +678,7 @@ export class AgentSDK {
       ];
 
       const response = await createChatCompletion(messages, {
+        ...this.getCompletionTarget(agent),
         temperature: agent.temperature,
         max_tokens: agent.max_tokens
       });
@@ -384,8 +710,9 @@ Always maintain a professional and helpful demeanor while completing tasks effic
   /**
    * List all created agents
    */
-  listAgents() {
-    const agentList = Array.from(this.agents.values()).map(agent => ({
+  async listAgents() {
+    const agents = await this.storage.listAgents();
+    const agentList = agents.map(agent => ({
       id: agent.id,
       name: agent.name,
       description: agent.description,
@@ -406,8 +733,8 @@ Always maintain a professional and helpful demeanor while completing tasks effic
   /**
    * Get agent details by ID
    */
-  getAgent(agentId) {
-    const agent = this.agents.get(agentId);
+  async getAgent(agentId) {
+    const agent = await this.storage.getAgent(agentId);
     if (!agent) {
       return {
         success: false,
@@ -424,23 +751,31 @@ Always maintain a professional and helpful demeanor while completing tasks effic
   /**
    * Update an agent's configuration
    */
-  updateAgent(agentId, updates) {
+  async updateAgent(agentId, updates) {
     try {
-      const agent = this.agents.get(agentId);
+      const agent = await this.storage.getAgent(agentId);
       if (!agent) {
         throw new Error('Agent not found');
       }
 
       // Update allowed fields
-      const allowedUpdates = ['description', 'capabilities', 'systemPrompt', 'tools', 'personality', 'max_tokens', 'temperature'];
+      const allowedUpdates = ['description', 'capabilities', 'systemPrompt', 'tools', 'personality', 'max_tokens', 'temperature', 'maxSteps', 'provider', 'model'];
+      validateAgentConfig({
+        tools: updates.tools,
+        ...((updates.provider || updates.model) && {
+          provider: updates.provider ?? agent.provider ?? undefined,
+          model: updates.model ?? agent.model ?? undefined
+        })
+      });
+
       for (const [key, value] of Object.entries(updates)) {
         if (allowedUpdates.includes(key)) {
-          agent[key] = value;
+          agent[key] = key === 'maxSteps' ? clampSteps(value) : value;
         }
       }
 
       agent.updated = new Date().toISOString();
-      this.agents.set(agentId, agent);
+      await this.storage.saveAgent(agent);
 
       return {
         success: true,
@@ -452,7 +787,8 @@ Always maintain a professional and helpful demeanor while completing tasks effic
     } catch (error) {
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        ...(error.code && { code: error.code })
       };
     }
   }
@@ -460,14 +796,20 @@ Always maintain a professional and helpful demeanor while completing tasks effic
   /**
    * Delete an agent
    */
-  deleteAgent(agentId) {
+  async deleteAgent(agentId) {
     try {
-      const agent = this.agents.get(agentId);
+      const agent = await this.storage.getAgent(agentId);
       if (!agent) {
         throw new Error('Agent not found');
       }
 
-      this.agents.delete(agentId);
+      // Remove the agent's conversation history along with it
+      const conversations = await this.storage.listConversations(agentId);
+      for (const conversation of conversations) {
+        await this.storage.deleteConversation(conversation.id);
+      }
+
+      await this.storage.deleteAgent(agentId);
 
       return {
         success: true,
@@ -481,13 +823,59 @@ Always maintain a professional and helpful demeanor while completing tasks effic
     }
   }
 
+  /**
+   * List the conversations an agent has taken part in
+   */
+  async listConversations(agentId) {
+    const agent = await this.storage.getAgent(agentId);
+    if (!agent) {
+      return {
+        success: false,
+        error: 'Agent not found'
+      };
+    }
+
+    const conversations = await this.storage.listConversations(agentId);
+
+    return {
+      success: true,
+      agentId,
+      conversations: conversations.map(conversation => ({
+        id: conversation.id,
+        agentId: conversation.agentId,
+        messageCount: conversation.messages.length,
+        created: conversation.created,
+        lastMessageAt: conversation.messages[conversation.messages.length - 1]?.timestamp || null
+      })),
+      total: conversations.length
+    };
+  }
+
+  /**
+   * Get a conversation with its full message history
+   */
+  async getConversation(conversationId) {
+    const conversation = await this.storage.getConversation(conversationId);
+    if (!conversation) {
+      return {
+        success: false,
+        error: 'Conversation not found'
+      };
+    }
+
+    return {
+      success: true,
+      conversation
+    };
+  }
+
   /**
    * Enable agent-to-agent communication
    */
   async agentCommunication(fromAgentId, toAgentId, message, context = {}) {
     try {
-      const fromAgent = this.agents.get(fromAgentId);
-      const toAgent = this.agents.get(toAgentId);
+      const fromAgent = await this.storage.getAgent(fromAgentId);
+      const toAgent = await this.storage.getAgent(toAgentId);
 
       if (!fromAgent || !toAgent) {
         throw new Error('One or both agents not found');
@@ -508,6 +896,7 @@ Always maintain a professional and helpful demeanor while completing tasks effic
         to: toAgent.name,
         message,
         response: response.response,
+        conversationId: response.conversationId,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -523,12 +912,13 @@ Always maintain a professional and helpful demeanor while completing tasks effic
   /**
    * Get SDK status and information
    */
-  getStatus() {
+  async getStatus() {
     return {
       name: this.name,
       description: this.description,
-      agentCount: this.agents.size,
-      conversationCount: this.conversations.size,
+      storage: this.storage.name,
+      agentCount: await this.storage.countAgents(),
+      conversationCount: await this.storage.countConversations(),
       availableTools: Object.keys(this.tools),
       features: [
         'Custom agent creation',
@@ -536,7 +926,8 @@ Always maintain a professional and helpful demeanor while completing tasks effic
         'Tool integration',
         'Agent-to-agent communication',
         'Conversation management',
-        'Memory and context handling'
+        'Memory and context handling',
+        'Persistent agent storage'
       ]
     };
   }
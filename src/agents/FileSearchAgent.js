@@ -3,20 +3,105 @@ import path from 'path';
 import xlsx from 'xlsx';
 import mammoth from 'mammoth';
 import PDFParser from 'pdf2json';
-import { createChatCompletion } from '../config/openai.js';
+import { createChatCompletion, createStructuredCompletion, getProvider, getModel } from '../config/openai.js';
+import { indexDocument, hybridSearch, pageAt, pagesForRange, pageLink, searchText, chunkText } from '../search/index.js';
+import { extractionCache, hashFile } from '../files/ExtractionCache.js';
+import { redactor } from '../files/redaction.js';
+import { ExtractorRegistry } from '../files/ExtractorRegistry.js';
+import { documentExtractors } from '../files/extractors/index.js';
+import { detectFileType, verifyFileType, UnsupportedFileError } from '../files/fileTypes.js';
+import { parseCsv, buildTable, findPdfTables, queryTable, describeQueryResult, TableQuerySchema, TableQueryError } from '../files/tables.js';
+import { diffDocuments, formatDiff, splitSections, ComparisonSummarySchema } from '../files/compare.js';
+import { SUMMARY_STYLES, SUMMARY_STYLE_NAMES, SectionSummarySchema, mapWithConcurrency, batchTexts } from '../files/summarize.js';
+import { DATA_TYPES, ENTITY_DATA_TYPES, EntityExtractionSchema, findDataMatches, lineLocator, locateText } from '../files/entities.js';
+import { formatValidationIssues } from '../config/schema.js';
+
+// pdf2json reports positions in page units of 16 points (4.5 per inch); text widths are in points
+const PDF_POINTS_PER_UNIT = 16;
+// Horizontal gap (in page units) between text items on a line that separates table cells rather than words
+const PDF_CELL_GAP = 1;
+// Text sent to the model per entity extraction request, and the most requests made for one file
+const ENTITY_CHUNK_SIZE = 6000;
+const MAX_ENTITY_CHUNKS = 5;
+// Text per summarization request; longer documents are summarized chunk by chunk and the notes merged
+const SUMMARY_CHUNK_SIZE = 12000;
 
 export class FileSearchAgent {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'FileSearchAgent';
+    this.provider = options.provider;
+    // Model for answers to file searches; the provider's default when not set
+    this.model = options.model;
+    // Extracted text and summaries, by file content hash
+    this.cache = options.cache || extractionCache;
+    // Personal data is replaced with placeholders before document text reaches a model
+    this.redactor = options.redactor || redactor;
     this.description = 'AI agent that can read and search inside files (PDFs, Word docs, Excel, etc.)';
-    this.capabilities = ['file_reading', 'content_extraction', 'file_search', 'document_analysis'];
-    this.supportedFormats = ['.pdf', '.docx', '.doc', '.xlsx', '.xls', '.txt', '.csv', '.json'];
+    this.capabilities = ['file_reading', 'content_extraction', 'file_search', 'document_analysis', 'table_query'];
+
+    this.extractors = new ExtractorRegistry()
+      .register('.pdf', { name: 'pdf', formats: ['pdf'], extract: filePath => this.extractPdfContent(filePath) })
+      .register('.docx', { name: 'docx', formats: ['docx'], extract: filePath => this.extractWordContent(filePath) })
+      .register('.xlsx', { name: 'xlsx', formats: ['xlsx'], extract: filePath => this.extractExcelContent(filePath) })
+      .register('.xls', { name: 'xls', formats: ['xls'], extract: filePath => this.extractExcelContent(filePath) })
+      .register('.txt', {
+        name: 'text',
+        formats: ['text'],
+        extract: async filePath => ({
+          content: await fs.readFile(filePath, 'utf8'),
+          metadata: { type: 'text', encoding: 'utf8' }
+        })
+      })
+      .register('.csv', { name: 'csv', formats: ['text'], extract: filePath => this.extractCsvContent(filePath) })
+      .register('.json', {
+        name: 'json',
+        formats: ['text'],
+        extract: async filePath => ({
+          content: JSON.stringify(await fs.readJson(filePath), null, 2),
+          metadata: { type: 'json', structure: 'parsed' }
+        })
+      });
+
+    for (const { extensions, extractor } of [...documentExtractors, ...(options.extractors || [])]) {
+      this.extractors.register(extensions, extractor);
+    }
   }
 
   /**
-   * Analyze and extract content from an uploaded file
+   * Extensions with a registered extractor
    */
-  async analyzeFile(filePath, originalName) {
+  get supportedFormats() {
+    return this.extractors.extensions();
+  }
+
+  /**
+   * Add or replace the extractor for one or more extensions; see ExtractorRegistry for the extractor shape
+   */
+  registerExtractor(extensions, extractor) {
+    this.extractors.register(extensions, extractor);
+    return this;
+  }
+
+  /**
+   * Check that a file's content matches the formats its extractor accepts
+   */
+  async verifyFile(filePath, fileExtension) {
+    const extractor = this.extractors.get(fileExtension);
+    if (!extractor) {
+      return { valid: false, format: null, error: `Unsupported file extension: ${fileExtension || '(none)'}` };
+    }
+    if (!extractor.formats) {
+      return { valid: true, format: await detectFileType(filePath) };
+    }
+    return verifyFileType(filePath, fileExtension, extractor.formats);
+  }
+
+  /**
+   * Analyze and extract content from an uploaded file.
+   * With `options.index` the full content is also chunked and embedded into the vector index;
+   * `options.summaryStyle` picks the summary style (see SUMMARY_STYLES).
+   */
+  async analyzeFile(filePath, originalName, options = {}) {
     try {
       console.log(`📄 Analyzing file: ${originalName}`);
       
@@ -30,46 +115,14 @@ export class FileSearchAgent {
       const fileExtension = path.extname(originalName).toLowerCase();
       
       // Extract content based on file type
-      let content = '';
-      let metadata = {};
-
-      switch (fileExtension) {
-        case '.pdf':
-          const pdfResult = await this.extractPdfContent(filePath);
-          content = pdfResult.content;
-          metadata = pdfResult.metadata;
-          break;
-        case '.docx':
-        case '.doc':
-          const docResult = await this.extractWordContent(filePath);
-          content = docResult.content;
-          metadata = docResult.metadata;
-          break;
-        case '.xlsx':
-        case '.xls':
-          const excelResult = await this.extractExcelContent(filePath);
-          content = excelResult.content;
-          metadata = excelResult.metadata;
-          break;
-        case '.txt':
-          content = await fs.readFile(filePath, 'utf8');
-          metadata = { type: 'text', encoding: 'utf8' };
-          break;
-        case '.csv':
-          content = await this.extractCsvContent(filePath);
-          metadata = { type: 'csv' };
-          break;
-        case '.json':
-          const jsonContent = await fs.readJson(filePath);
-          content = JSON.stringify(jsonContent, null, 2);
-          metadata = { type: 'json', structure: 'parsed' };
-          break;
-        default:
-          throw new Error(`Unsupported file format: ${fileExtension}`);
-      }
+      const { content, metadata, pages, hash, cached, redaction } = await this.extractContent(filePath, fileExtension);
 
       // Generate AI summary
-      const analysis = await this.generateAnalysis(content, originalName, fileExtension);
+      const analysis = await this.analyzeContent(content, originalName, fileExtension, hash, { style: options.summaryStyle, pages });
+
+      const document = options.index
+        ? await indexDocument(content, { source: originalName, pages, fileHash: hash, provider: this.provider, agent: this.name })
+        : null;
 
       return {
         success: true,
@@ -87,7 +140,23 @@ export class FileSearchAgent {
           wordCount: content.split(/\s+/).length
         },
         metadata,
+        // Page-aware formats (PDF) keep per-page text, line positions and offsets into the full text
+        ...(pages && { pages }),
         analysis,
+        // What was replaced before the content reached the model (counts, placeholders, masked previews)
+        redaction,
+        cache: {
+          hash,
+          extraction: cached,
+          analysis: Boolean(analysis.cached)
+        },
+        ...(document && {
+          index: {
+            documentId: document.id,
+            chunks: document.chunks.length,
+            embeddingModel: document.embeddingModel
+          }
+        }),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -95,12 +164,49 @@ export class FileSearchAgent {
       return {
         success: false,
         error: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.hint && { hint: error.hint }),
         file: { name: originalName, path: filePath },
         timestamp: new Date().toISOString()
       };
     }
   }
 
+  /**
+   * Summarize a whole file in one of the SUMMARY_STYLES (executive, outline or sections)
+   */
+  async summarizeFile(filePath, options = {}) {
+    const { style = 'executive', model, originalName = path.basename(filePath) } = options;
+
+    try {
+      console.log(`📝 Summarizing ${originalName} (${style})`);
+      const { content, pages, hash } = await this.extractContent(filePath, path.extname(originalName).toLowerCase());
+      const analysis = await this.analyzeContent(content, originalName, path.extname(originalName).toLowerCase(), hash, { style, model, pages });
+      if (!analysis.generated) {
+        throw new Error(analysis.error);
+      }
+
+      return {
+        success: true,
+        file: originalName,
+        length: content.length,
+        ...analysis,
+        cached: Boolean(analysis.cached),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('File summary error:', error);
+      return {
+        success: false,
+        error: error.message,
+        ...(error.code && { code: error.code }),
+        file: originalName,
+        style,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
   /**
    * Search for specific content within a file
    */
@@ -108,50 +214,52 @@ export class FileSearchAgent {
     try {
       console.log(`🔍 Searching in file: ${path.basename(filePath)} for: "${query}"`);
       
-      // Read file content
-      const fileExtension = path.extname(filePath).toLowerCase();
-      let content = '';
-
-      switch (fileExtension) {
-        case '.pdf':
-          const pdfResult = await this.extractPdfContent(filePath);
-          content = pdfResult.content;
-          break;
-        case '.docx':
-        case '.doc':
-          const docResult = await this.extractWordContent(filePath);
-          content = docResult.content;
-          break;
-        case '.xlsx':
-        case '.xls':
-          const excelResult = await this.extractExcelContent(filePath);
-          content = excelResult.content;
-          break;
-        case '.txt':
-          content = await fs.readFile(filePath, 'utf8');
-          break;
-        case '.csv':
-          content = await this.extractCsvContent(filePath);
-          break;
-        case '.json':
-          const jsonContent = await fs.readJson(filePath);
-          content = JSON.stringify(jsonContent, null, 2);
-          break;
-        default:
-          throw new Error(`Unsupported file format: ${fileExtension}`);
-      }
+      // The original text is searched, so values that are redacted for models can still be found;
+      // the matches and their contexts returned (and sent to the model) are redacted
+      const original = await this.extractContent(filePath, path.extname(filePath).toLowerCase(), { redact: false });
+      const { content, pages } = this.redactor.redactExtraction(original);
 
-      // Perform search
-      const searchResults = this.performTextSearch(content, query, options);
+      const searchResults = this.performTextSearch(original.content, query, options);
+      const contextLength = options.contextLength ?? 100;
+      const spans = searchResults.matches.flatMap(match => {
+        const contextStart = Math.max(0, match.position - contextLength);
+        return [
+          { start: match.position, end: match.position + match.match.length },
+          { start: contextStart, end: contextStart + match.context.length }
+        ];
+      });
+      const snippets = this.redactor.redactSpans(original.content, spans);
+      searchResults.matches.forEach((match, i) => {
+        match.match = snippets[2 * i];
+        match.context = snippets[2 * i + 1];
+        if (original.pages) {
+          match.page = pageAt(original.pages, match.position);
+          match.deepLink = pageLink(match.page);
+        }
+      });
+      
+      // Rank the document's chunks by semantic + keyword relevance
+      const retrieval = await this.retrieveChunks(content, query, {
+        ...options,
+        pages,
+        source: path.basename(filePath),
+        fileHash: original.hash
+      });
       
       // Generate AI-powered answer
-      const aiAnswer = await this.generateSearchAnswer(content, query, searchResults);
+      const aiAnswer = await this.generateSearchAnswer(content, query, searchResults, retrieval.chunks);
 
       return {
         success: true,
         query,
         file: path.basename(filePath),
         results: searchResults,
+        chunks: retrieval.chunks,
+        retrieval: {
+          mode: retrieval.mode,
+          embeddingModel: retrieval.embeddingModel,
+          chunksIndexed: retrieval.chunksIndexed
+        },
         aiAnswer,
         timestamp: new Date().toISOString()
       };
@@ -160,6 +268,7 @@ export class FileSearchAgent {
       return {
         success: false,
         error: error.message,
+        ...(error.code && { code: error.code }),
         query,
         file: path.basename(filePath),
         timestamp: new Date().toISOString()
@@ -167,6 +276,69 @@ export class FileSearchAgent {
     }
   }
 
+  /**
+   * Extract text and metadata from a file, reusing the cached extraction when the same content
+   * was already extracted as the same format. The result is redacted (see Redactor) unless
+   * `options.redact` is false, which is only for callers that keep the text away from models.
+   */
+  async extractContent(filePath, fileExtension, options = {}) {
+    const extractor = this.extractors.get(fileExtension);
+    if (!extractor) {
+      throw new Error(`Unsupported file format: ${fileExtension}`);
+    }
+
+    // Keyed by extractor too, so replacing an extension's extractor doesn't serve the old one's output
+    const cacheKey = `${fileExtension}:${extractor.name}`;
+    const hash = await hashFile(filePath);
+    // The cache holds the raw extraction, so changing the redaction settings takes effect immediately
+    let extraction = await this.cache.getExtraction(hash, cacheKey);
+    const cached = Boolean(extraction);
+    if (!extraction) {
+      extraction = await extractor.extract(filePath, fileExtension);
+      await this.cache.setExtraction(hash, cacheKey, extraction);
+    }
+
+    const result = { ...extraction, hash, cached };
+    return options.redact === false ? result : this.redactor.redactExtraction(result);
+  }
+
+  /**
+   * Extract a file's content and chunk and embed it into the vector index
+   */
+  async indexFile(filePath, originalName = path.basename(filePath)) {
+    const { content, pages, hash } = await this.extractContent(filePath, path.extname(originalName).toLowerCase());
+    return indexDocument(content, { source: originalName, pages, fileHash: hash, provider: this.provider, agent: this.name });
+  }
+
+  /**
+   * Chunk and index a document's content, then return its chunks ranked for the query
+   */
+  async retrieveChunks(content, query, options = {}) {
+    const { source, pages, fileHash, topK = 5, semanticWeight, chunkSize, overlap } = options;
+
+    const document = await indexDocument(content, {
+      source,
+      pages,
+      fileHash,
+      provider: this.provider,
+      agent: this.name,
+      chunkSize,
+      overlap
+    });
+
+    const result = await hybridSearch([document], query, {
+      topK,
+      semanticWeight,
+      provider: this.provider,
+      agent: this.name
+    });
+
+    return {
+      ...result,
+      chunksIndexed: document.chunks.length
+    };
+  }
+
   /**
    * Extract content from PDF files - REAL IMPLEMENTATION using pdf2json
    */
@@ -189,62 +361,33 @@ export class FileSearchAgent {
       return new Promise((resolve, reject) => {
         const pdfParser = new PDFParser();
         
+        // Failures reject like the other extractors, so an error message is never cached as the PDF's text
         pdfParser.on('pdfParser_dataError', (errData) => {
           console.error(`❌ PDF Parser Error:`, errData);
-          // Return basic info if parsing fails
-          resolve({
-            content: `PDF parsing failed: ${errData.parserError}. This might be a scanned PDF, password-protected file, or corrupted PDF.`,
-            metadata: {
-              type: 'pdf',
-              pages: 0,
-              size: stats.size,
-              fileName: fileName,
-              created: stats.birthtime,
-              modified: stats.mtime,
-              error: errData.parserError,
-              info: { 
-                title: fileName,
-                size: stats.size,
-                sizeFormatted: `${(stats.size / 1024).toFixed(2)} KB`
-              }
-            }
-          });
+          reject(new Error(`PDF extraction failed: ${errData.parserError}. This might be a scanned PDF, password-protected file, or corrupted PDF.`));
         });
 
         pdfParser.on('pdfParser_dataReady', (pdfData) => {
           try {
             console.log(`✅ PDF parsed successfully!`);
             
-            // Extract text from all pages
-            let extractedText = '';
-            let pageCount = 0;
+            // Extract text page by page, keeping line breaks and positions
+            const pageCount = pdfData.Pages?.length || 0;
+            console.log(`📊 PDF has ${pageCount} pages`);
             
-            if (pdfData.Pages && pdfData.Pages.length > 0) {
-              pageCount = pdfData.Pages.length;
-              console.log(`📊 PDF has ${pageCount} pages`);
-              
-              pdfData.Pages.forEach((page, pageIndex) => {
-                if (page.Texts && page.Texts.length > 0) {
-                  page.Texts.forEach((textItem) => {
-                    if (textItem.R && textItem.R.length > 0) {
-                      textItem.R.forEach((textRun) => {
-                        if (textRun.T) {
-                          // Decode URI component and clean up text
-                          extractedText += decodeURIComponent(textRun.T) + ' ';
-                        }
-                      });
-                    }
-                  });
-                  extractedText += '\n'; // Add line break after each text block
-                }
-              });
-            }
+            const pages = this.extractPdfPages(pdfData.Pages || []);
+            const tables = findPdfTables(pages);
 
-            // Clean up the extracted text
-            const cleanText = extractedText
-              .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
-              .replace(/\n\s*\n/g, '\n')  // Remove extra line breaks
-              .trim();
+            // Pages are separated by a blank line; each page records its offsets in the full text
+            let cleanText = '';
+            for (const page of pages) {
+              if (cleanText) {
+                cleanText += '\n\n';
+              }
+              page.start = cleanText.length;
+              cleanText += page.text;
+              page.end = cleanText.length;
+            }
 
             console.log(`📊 PDF Statistics:`, {
               pages: pageCount,
@@ -254,9 +397,12 @@ export class FileSearchAgent {
 
             resolve({
               content: cleanText,
+              pages,
+              tables,
               metadata: {
                 type: 'pdf',
                 pages: pageCount,
+                tables: tables.length,
                 size: stats.size,
                 fileName: fileName,
                 created: stats.birthtime,
@@ -275,23 +421,7 @@ export class FileSearchAgent {
             });
           } catch (processingError) {
             console.error(`❌ PDF processing error:`, processingError);
-            resolve({
-              content: `PDF text extraction failed during processing: ${processingError.message}`,
-              metadata: {
-                type: 'pdf',
-                pages: 0,
-                size: stats.size,
-                fileName: fileName,
-                created: stats.birthtime,
-                modified: stats.mtime,
-                error: processingError.message,
-                info: { 
-                  title: fileName,
-                  size: stats.size,
-                  sizeFormatted: `${(stats.size / 1024).toFixed(2)} KB`
-                }
-              }
-            });
+            reject(new Error(`PDF extraction failed during processing: ${processingError.message}`));
           }
         });
 
@@ -301,28 +431,82 @@ export class FileSearchAgent {
       
     } catch (error) {
       console.error(`❌ PDF extraction error for ${filePath}:`, error);
-      
-      // If PDF parsing fails, at least provide basic info
-      const stats = await fs.stat(filePath);
-      const fileName = path.basename(filePath);
-      
-      return {
-        content: `Unable to extract text from PDF: ${error.message}. This might be a scanned PDF or password-protected file.`,
-        metadata: {
-          type: 'pdf',
-          pages: 0,
-          size: stats.size,
-          fileName: fileName,
-          created: stats.birthtime,
-          modified: stats.mtime,
-          error: error.message,
-          info: { 
-            title: fileName,
-            size: stats.size,
-            sizeFormatted: `${(stats.size / 1024).toFixed(2)} KB`
+      throw new Error(`PDF extraction failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rebuild each PDF page's lines from pdf2json text items: items on the same baseline form a line,
+   * and a larger than usual gap between lines starts a new paragraph.
+   * Items separated by a wide gap are also kept apart as `cells`, which is how PDF tables are found.
+   * Positions (x, y, width, height) are in pdf2json page units of 16 points.
+   */
+  extractPdfPages(pdfPages) {
+    return pdfPages.map((page, pageIndex) => {
+      const items = (page.Texts || [])
+        .map(textItem => ({
+          x: textItem.x,
+          y: textItem.y,
+          width: (textItem.w || 0) / PDF_POINTS_PER_UNIT,
+          text: (textItem.R || []).map(textRun => this.decodePdfText(textRun.T || '')).join('')
+        }))
+        .filter(item => item.text.trim())
+        .sort((a, b) => a.y - b.y || a.x - b.x);
+
+      const lines = [];
+      for (const item of items) {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(item.y - line.y) < 0.3) {
+          const previous = line.items[line.items.length - 1];
+          // Items that don't touch are separate words
+          const gap = item.x - (previous.x + previous.width);
+          line.items.push(item);
+          line.text += (gap > 0.1 && !/\s$/.test(line.text) ? ' ' : '') + item.text;
+          if (gap >= PDF_CELL_GAP) {
+            line.cells.push(item.text);
+          } else {
+            line.cells[line.cells.length - 1] += (gap > 0.1 ? ' ' : '') + item.text;
           }
+        } else {
+          lines.push({ y: item.y, x: item.x, items: [item], text: item.text, cells: [item.text] });
+        }
+      }
+
+      const gaps = lines.slice(1).map((line, i) => line.y - lines[i].y).sort((a, b) => a - b);
+      const typicalGap = gaps[Math.floor(gaps.length / 2)] || 0;
+
+      let text = '';
+      lines.forEach((line, i) => {
+        if (i > 0) {
+          text += line.y - lines[i - 1].y > typicalGap * 1.5 ? '\n\n' : '\n';
         }
+        text += line.text.replace(/\s+/g, ' ').trim();
+      });
+
+      return {
+        number: pageIndex + 1,
+        width: page.Width,
+        height: page.Height,
+        text,
+        lines: lines.map(line => ({
+          text: line.text.replace(/\s+/g, ' ').trim(),
+          x: line.x,
+          y: line.y,
+          width: Number((line.items[line.items.length - 1].x + line.items[line.items.length - 1].width - line.x).toFixed(3)),
+          ...(line.cells.length > 1 && { cells: line.cells.map(cell => cell.replace(/\s+/g, ' ').trim()) })
+        }))
       };
+    });
+  }
+
+  /**
+   * pdf2json URI-encodes text runs; malformed sequences are kept as they are
+   */
+  decodePdfText(text) {
+    try {
+      return decodeURIComponent(text);
+    } catch {
+      return text;
     }
   }
 
@@ -350,8 +534,9 @@ export class FileSearchAgent {
    */
   async extractExcelContent(filePath) {
     try {
-      const workbook = xlsx.readFile(filePath);
+      const workbook = xlsx.readFile(filePath, { cellDates: true });
       const content = [];
+      const tables = [];
       const metadata = {
         type: 'excel',
         sheets: [],
@@ -360,18 +545,25 @@ export class FileSearchAgent {
 
       workbook.SheetNames.forEach(sheetName => {
         const worksheet = workbook.Sheets[sheetName];
-        const jsonData = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
-        
+        // Dates as ISO strings so they survive the extraction cache and read the same in every locale
+        const jsonData = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: null })
+          .map(row => row.map(cell => cell instanceof Date ? cell.toISOString().replace(/T00:00:00\.000Z$/, '') : cell));
+        const table = buildTable(jsonData, { name: sheetName });
+
         metadata.sheets.push({
           name: sheetName,
           rows: jsonData.length,
-          columns: jsonData[0] ? jsonData[0].length : 0
+          columns: jsonData[0] ? jsonData[0].length : 0,
+          schema: table.columns
         });
+        if (jsonData.length > 0) {
+          tables.push({ name: sheetName, rows: jsonData });
+        }
 
         content.push(`Sheet: ${sheetName}`);
         jsonData.forEach((row, index) => {
           if (row.length > 0) {
-            content.push(`Row ${index + 1}: ${row.join(' | ')}`);
+            content.push(`Row ${index + 1}: ${row.map(cell => cell ?? '').join(' | ')}`);
           }
         });
         content.push(''); // Add empty line between sheets
@@ -379,117 +571,276 @@ export class FileSearchAgent {
 
       return {
         content: content.join('\n'),
+        tables,
         metadata
       };
     } catch (error) {
+      if (/password|encrypt/i.test(error.message)) {
+        throw new UnsupportedFileError('Password-protected Excel workbooks are not supported', 'Remove the password in Excel (File > Info > Protect Workbook) and upload the file again.');
+      }
       throw new Error(`Excel extraction failed: ${error.message}`);
     }
   }
 
   /**
-   * Extract content from CSV files
+   * Extract content from CSV files, parsed with quoting rules so quoted delimiters and
+   * line breaks stay inside their cell
    */
   async extractCsvContent(filePath) {
     try {
       const csvContent = await fs.readFile(filePath, 'utf8');
-      const lines = csvContent.split('\n');
-      const content = [];
+      const { delimiter, rows } = parseCsv(csvContent);
+      const table = buildTable(rows, { name: path.basename(filePath) });
+      const content = rows.map((row, index) => `Row ${index + 1}: ${row.map(cell => cell.replace(/\s*\r?\n\s*/g, ' ')).join(' | ')}`);
 
-      lines.forEach((line, index) => {
-        if (line.trim()) {
-          content.push(`Row ${index + 1}: ${line}`);
+      return {
+        content: content.join('\n'),
+        tables: [{ name: table.name, rows }],
+        metadata: {
+          type: 'csv',
+          delimiter,
+          rows: rows.length,
+          columns: table.columns.length,
+          header: table.header,
+          schema: table.columns
         }
-      });
-
-      return content.join('\n');
+      };
     } catch (error) {
       throw new Error(`CSV extraction failed: ${error.message}`);
     }
   }
 
   /**
-   * Perform text-based search within content
+   * Perform text-based search within content; see searchText for the modes (literal, phrase, regex, fuzzy)
    */
   performTextSearch(content, query, options = {}) {
-    const {
-      caseSensitive = false,
-      wholeWord = false,
-      maxResults = 10,
-      contextLength = 100
-    } = options;
-
-    const searchPattern = wholeWord 
-      ? new RegExp(`\\b${query}\\b`, caseSensitive ? 'g' : 'gi')
-      : new RegExp(query, caseSensitive ? 'g' : 'gi');
-
-    const matches = [];
-    let match;
-
-    while ((match = searchPattern.exec(content)) !== null && matches.length < maxResults) {
-      const start = Math.max(0, match.index - contextLength);
-      const end = Math.min(content.length, match.index + match[0].length + contextLength);
-      
-      matches.push({
-        match: match[0],
-        position: match.index,
-        context: content.substring(start, end),
-        lineNumber: content.substring(0, match.index).split('\n').length
-      });
-    }
-
     return {
-      totalMatches: matches.length,
-      matches,
+      ...searchText(content, query, options),
       searchOptions: options
     };
   }
 
   /**
-   * Generate AI-powered analysis of the file
+   * AI summary of a file's content, reused from the extraction cache when the same content
+   * was already summarized as the same format, in the same style, with the same model.
+   * Options: style (see SUMMARY_STYLES, default executive), model, pages
    */
-  async generateAnalysis(content, fileName, fileType) {
+  async analyzeContent(content, fileName, fileType, hash, options = {}) {
+    const { style = 'executive', model } = options;
+    let cacheKey = null;
     try {
-      const messages = [
-        {
-          role: 'system',
-          content: 'You are a document analysis expert. Analyze the provided document content and provide insights about its structure, key topics, and important information.'
-        },
-        {
-          role: 'user',
-          content: `Analyze this ${fileType} file named "${fileName}":\n\n${content.substring(0, 3000)}...\n\nProvide a summary including:\n1. Document type and purpose\n2. Key topics or sections\n3. Important information or data\n4. Overall structure`
-        }
-      ];
+      const provider = getProvider(this.provider);
+      cacheKey = `${fileType}:${style}:${provider.name}:${getModel(model, provider)}:${this.redactor.fingerprint}`;
+    } catch {
+      // Unknown provider or model: generateAnalysis reports the error
+    }
 
-      const response = await createChatCompletion(messages, {
-        max_tokens: 500,
-        temperature: 0.3
-      });
+    const cached = cacheKey && await this.cache.getAnalysis(hash, cacheKey);
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+
+    const analysis = await this.generateAnalysis(content, fileName, fileType, options);
+    // Failed analyses are retried next time
+    if (cacheKey && analysis.generated) {
+      await this.cache.setAnalysis(hash, cacheKey, analysis);
+    }
+    return analysis;
+  }
+
+  /**
+   * Summarize a document of any length: the full content is split into chunks that are summarized
+   * in parallel (SUMMARY_CONCURRENCY at a time), the chunk notes are merged until they fit in one
+   * request, and the final summary is written from them in the requested style. The "sections"
+   * style summarizes each section of the document instead.
+   */
+  async generateAnalysis(content, fileName, fileType, options = {}) {
+    const { style = 'executive', model, pages } = options;
+
+    try {
+      if (!SUMMARY_STYLES[style]) {
+        throw new Error(`Unknown summary style "${style}". Use one of: ${SUMMARY_STYLE_NAMES.join(', ')}`);
+      }
+      if (style === 'sections') {
+        return await this.summarizeSections(content, fileName, fileType, { model, pages });
+      }
+
+      const condensed = await this.condenseText(content, { model, pages });
+      const summary = await this.completeSummary(
+        `You are a document analysis expert. ${SUMMARY_STYLES[style]} Keep page references such as (p. 4) where the notes give them.`,
+        `${condensed.chunks > 1 ? 'Notes on consecutive parts of' : 'Content of'} the ${fileType} file named "${fileName}":\n\n${condensed.notes.join('\n\n')}`,
+        { model, maxTokens: 800 }
+      );
 
       return {
-        summary: response.choices[0].message.content,
-        generated: true
+        summary,
+        style,
+        generated: true,
+        chunks: condensed.chunks,
+        reduceRounds: condensed.reduceRounds
       };
     } catch (error) {
       console.error('Analysis generation error:', error);
       return {
         summary: 'Analysis could not be generated at this time.',
+        style,
         generated: false,
         error: error.message
       };
     }
   }
 
+  /**
+   * One summary from the model, for the map, reduce and final steps of summarization
+   */
+  async completeSummary(instructions, text, options = {}) {
+    const { model, maxTokens = 500 } = options;
+    const response = await createChatCompletion([
+      { role: 'system', content: instructions },
+      { role: 'user', content: text }
+    ], {
+      model,
+      provider: this.provider,
+      agent: this.name,
+      max_tokens: maxTokens,
+      temperature: 0.3
+    });
+    return response.choices[0].message.content;
+  }
+
+  /**
+   * Reduce text to notes that fit in one request. Short text is returned as is; longer text is chunked,
+   * each chunk summarized (map), and the notes merged in batches until they fit (reduce).
+   * `offset` is where the text starts in the document, for page numbers.
+   */
+  async condenseText(text, options = {}) {
+    const { model, pages, offset = 0 } = options;
+    if (text.length <= SUMMARY_CHUNK_SIZE) {
+      return { notes: [text], chunks: 1, reduceRounds: 0 };
+    }
+
+    const concurrency = parseInt(process.env.SUMMARY_CONCURRENCY) || 4;
+    const chunks = chunkText(text, { chunkSize: SUMMARY_CHUNK_SIZE, overlap: 0 });
+    console.log(`🧩 Summarizing ${chunks.length} chunks, ${concurrency} at a time`);
+
+    let notes = await mapWithConcurrency(chunks, concurrency, async chunk => {
+      const range = pagesForRange(pages, offset + chunk.start, offset + chunk.end);
+      const label = `Part ${chunk.index + 1} of ${chunks.length}${range ? `, pages ${range[0]}-${range[range.length - 1]}` : ''}`;
+      const summary = await this.completeSummary(
+        'You summarize one part of a longer document as dense notes: key points, figures, names, dates, decisions and section titles. Cite pages as (p. N) when the part spans several pages.',
+        `[${label}]\n${chunk.text}`,
+        { model, maxTokens: 400 }
+      );
+      return `[${label}]\n${summary}`;
+    });
+
+    let reduceRounds = 0;
+    while (notes.length > 1 && notes.join('\n\n').length > SUMMARY_CHUNK_SIZE) {
+      const batches = batchTexts(notes, SUMMARY_CHUNK_SIZE);
+      if (batches.length === notes.length) {
+        // Each note fills a request on its own: merging can't shrink them further
+        break;
+      }
+      notes = await mapWithConcurrency(batches, concurrency, batch => this.completeSummary(
+        'You merge notes on consecutive parts of a document into one set of notes, keeping the key points, figures, dates and page references (p. N) and dropping repetition.',
+        batch.join('\n\n'),
+        { model, maxTokens: 600 }
+      ));
+      reduceRounds++;
+    }
+
+    return { notes, chunks: chunks.length, reduceRounds };
+  }
+
+  /**
+   * Two or three sentences per section. Sections are summarized several to a request; a section
+   * too long for one request is condensed first. Documents without headings are split into parts.
+   */
+  async summarizeSections(content, fileName, fileType, options = {}) {
+    const { model, pages } = options;
+    const concurrency = parseInt(process.env.SUMMARY_CONCURRENCY) || 4;
+
+    let sections = splitSections(content)
+      .filter(section => section.text.trim())
+      .map(section => ({ title: section.title || 'Introduction', start: section.bodyStart, end: section.end, text: section.text.trim() }));
+    if (sections.every(section => section.title === 'Introduction')) {
+      sections = chunkText(content, { chunkSize: SUMMARY_CHUNK_SIZE, overlap: 0 }).map(chunk => ({
+        title: `Part ${chunk.index + 1}`,
+        start: chunk.start,
+        end: chunk.end,
+        text: chunk.text
+      }));
+    }
+
+    const condensed = await mapWithConcurrency(sections, concurrency, section => this.condenseText(section.text, { model, pages, offset: section.start }));
+    const rendered = sections.map((section, i) => `## ${section.title}\n${condensed[i].notes.join('\n\n')}`);
+    const batches = batchTexts(rendered, SUMMARY_CHUNK_SIZE);
+
+    let first = 0;
+    const units = batches.map(batch => {
+      const unit = { sections: sections.slice(first, first + batch.length), text: batch.join('\n\n') };
+      first += batch.length;
+      return unit;
+    });
+
+    const summaries = await mapWithConcurrency(units, concurrency, async unit => {
+      const { data } = await createStructuredCompletion([
+        {
+          role: 'system',
+          content: `You are a document analysis expert. ${SUMMARY_STYLES.sections} Each section starts with a "## " title line; return one summary for every section given, in order, with its title.`
+        },
+        {
+          role: 'user',
+          content: `Sections of the ${fileType} file named "${fileName}":\n\n${unit.text}`
+        }
+      ], SectionSummarySchema, {
+        model,
+        provider: this.provider,
+        agent: this.name,
+        temperature: 0.3
+      });
+
+      // Matched by title, falling back to order when the model changes a title
+      const byTitle = new Map(data.sections.map(section => [section.title.toLowerCase().trim(), section.summary]));
+      return unit.sections.map((section, i) => byTitle.get(section.title.toLowerCase()) ?? data.sections[i]?.summary ?? '');
+    });
+
+    const sectionSummaries = summaries.flat();
+    const results = sections.map((section, i) => {
+      const range = pagesForRange(pages, section.start, section.end);
+      return {
+        title: section.title,
+        summary: sectionSummaries[i],
+        start: section.start,
+        end: section.end,
+        ...(range && { pages: range })
+      };
+    });
+
+    return {
+      summary: results.map(section => `## ${section.title}\n${section.summary}`).join('\n\n'),
+      style: 'sections',
+      generated: true,
+      sections: results,
+      chunks: condensed.reduce((total, result) => total + result.chunks, 0),
+      reduceRounds: Math.max(0, ...condensed.map(result => result.reduceRounds))
+    };
+  }
+
   /**
    * Generate AI-powered answer to search query
    */
-  async generateSearchAnswer(content, query, searchResults) {
+  async generateSearchAnswer(content, query, searchResults, chunks = []) {
     try {
-      const context = searchResults.matches.map(match => match.context).join('\n\n');
+      // Prefer the ranked chunks; fall back to the keyword match contexts
+      const context = chunks.length > 0
+        ? chunks.map(chunk => `[Chunk ${chunk.index}${chunk.pages ? `, page ${chunk.pages.join('-')}` : ''}, score ${chunk.score}]\n${chunk.text}`).join('\n\n')
+        : searchResults.matches.map(match => match.context).join('\n\n');
       
       const messages = [
         {
           role: 'system',
-          content: 'You are a document search assistant. Based on the search results from a document, provide a clear and accurate answer to the user\'s question.'
+          content: 'You are a document search assistant. Based on the search results from a document, provide a clear and accurate answer to the user\'s question. When excerpts have page numbers, cite the page behind each claim as (p. N).'
         },
         {
           role: 'user',
@@ -498,14 +849,21 @@ export class FileSearchAgent {
       ];
 
       const response = await createChatCompletion(messages, {
+        provider: this.provider,
+        model: this.model,
+        agent: this.name,
         max_tokens: 300,
         temperature: 0.3
       });
 
+      const topScore = chunks[0]?.score || 0;
+      const answer = response.choices[0].message.content;
       return {
-        answer: response.choices[0].message.content,
-        confidence: searchResults.totalMatches > 0 ? 'high' : 'low',
-        basedOnMatches: searchResults.totalMatches
+        answer,
+        pages: this.findCitedPages(answer),
+        confidence: topScore >= 0.5 || searchResults.totalMatches > 0 ? 'high' : topScore >= 0.25 ? 'medium' : 'low',
+        basedOnMatches: searchResults.totalMatches,
+        basedOnChunks: chunks.length
       };
     } catch (error) {
       console.error('Search answer generation error:', error);
@@ -518,63 +876,364 @@ export class FileSearchAgent {
   }
 
   /**
-   * Extract specific data types from files
+   * Page numbers cited in an answer as "(p. N)" or "page N", with deep links
    */
-  async extractSpecificData(filePath, dataType) {
-    const dataTypes = {
-      dates: /\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4}|\d{4}[-\/]\d{1,2}[-\/]\d{1,2}/g,
-      emails: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
-      phones: /(\+\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g,
-      urls: /https?:\/\/[^\s]+/g,
-      numbers: /\d+\.?\d*/g,
-      currencies: /[$€£¥]\s*\d+(?:,\d{3})*(?:\.\d{2})?/g
-    };
+  findCitedPages(answer = '') {
+    const pages = new Set(Array.from(answer.matchAll(/\b(?:p\.|pp\.|page)\s*(\d+)/gi), match => parseInt(match[1])));
+    return [...pages].sort((a, b) => a - b).map(page => ({ page, deepLink: pageLink(page) }));
+  }
+
+  /**
+   * Find data of the given types in a file, with each match's normalized value and location
+   * (offset, line and page). Pattern types (see PATTERN_DATA_TYPES) are matched locally on the original
+   * text: dates become YYYY-MM-DD, phone numbers E.164 and currency amounts { amount, currency }.
+   * People, organizations and addresses are found by the model in the redacted text.
+   *
+   * Options: dayFirst, defaultCountryCode and defaultCurrency (see findDataMatches), model
+   */
+  async extractSpecificData(filePath, dataTypes, options = {}) {
+    const types = [...new Set([dataTypes].flat())];
+
+    try {
+      const unsupported = types.filter(type => !DATA_TYPES.includes(type));
+      if (types.length === 0 || unsupported.length > 0) {
+        throw new Error(`Unsupported data type: ${unsupported.join(', ') || 'none given'}. Use: ${DATA_TYPES.join(', ')}`);
+      }
+
+      // Matched locally and returned to the caller, so the original values are needed
+      const document = await this.extractContent(filePath, path.extname(filePath).toLowerCase(), { redact: false });
+      const found = findDataMatches(document.content, types, options);
+      const entityTypes = types.filter(type => ENTITY_DATA_TYPES.includes(type));
+      if (entityTypes.length > 0) {
+        Object.assign(found, await this.extractEntities(document, entityTypes, options));
+      }
+
+      const lineAt = lineLocator(document.content);
+      const results = Object.fromEntries(types.map(type => {
+        const { matches, error } = Array.isArray(found[type]) ? { matches: found[type] } : found[type];
+        const values = new Map(matches.map(match => [JSON.stringify(match.normalized), match.normalized]));
+        return [type, {
+          count: matches.length,
+          values: [...values.values()],
+          matches: matches.map(match => {
+            if (match.start === null) {
+              return match;
+            }
+            const page = pageAt(document.pages, match.start);
+            return { ...match, line: lineAt(match.start), ...(page && { page }) };
+          }),
+          ...(error && { error })
+        }];
+      }));
+
+      console.log(`🧾 Extracted ${types.join(', ')} from ${path.basename(filePath)}`);
+      return {
+        success: true,
+        file: path.basename(filePath),
+        types,
+        results,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Data extraction error:', error);
+      return {
+        success: false,
+        error: error.message,
+        ...(error.code && { code: error.code }),
+        file: path.basename(filePath),
+        types,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Named entities found by the model in the redacted text, located in the original text.
+   * Returns { [type]: { matches, error? } }; an entity the model reports but the text doesn't
+   * contain verbatim is kept with a null position.
+   */
+  async extractEntities(document, entityTypes, options = {}) {
+    const { model } = options;
+    const wanted = { person: 'people', organization: 'organizations', address: 'addresses' };
+    const results = Object.fromEntries(entityTypes.map(type => [type, { matches: [] }]));
 
     try {
-      const fileExtension = path.extname(filePath).toLowerCase();
-      let content = '';
-
-      // Extract content based on file type (reuse existing methods)
-      switch (fileExtension) {
-        case '.pdf':
-          const pdfResult = await this.extractPdfContent(filePath);
-          content = pdfResult.content;
-          break;
-        case '.docx':
-        case '.doc':
-          const docResult = await this.extractWordContent(filePath);
-          content = docResult.content;
-          break;
-        case '.txt':
-          content = await fs.readFile(filePath, 'utf8');
-          break;
-        default:
-          throw new Error(`Unsupported file format for data extraction: ${fileExtension}`);
+      const { content } = this.redactor.redactExtraction(document);
+      const chunks = chunkText(content, { chunkSize: ENTITY_CHUNK_SIZE, overlap: 200 });
+      const seen = new Set();
+
+      for (const chunk of chunks.slice(0, MAX_ENTITY_CHUNKS)) {
+        const { data } = await createStructuredCompletion([
+          {
+            role: 'system',
+            content: `You find named entities in documents: ${entityTypes.join(', ')}. Report each distinct entity once, with its text exactly as written. Bracketed placeholders such as [EMAIL_1] stand for removed personal data and are not entities.`
+          },
+          {
+            role: 'user',
+            content: chunk.text
+          }
+        ], EntityExtractionSchema, {
+          model,
+          provider: this.provider,
+          agent: this.name,
+          temperature: 0
+        });
+
+        for (const entity of data.entities) {
+          const type = wanted[entity.type];
+          const normalized = (entity.normalized || entity.text).replace(/\s+/g, ' ').trim();
+          const key = `${type}:${normalized.toLowerCase()}`;
+          if (!results[type] || !entity.text.trim() || seen.has(key)) {
+            continue;
+          }
+          seen.add(key);
+
+          const occurrences = locateText(document.content, entity.text);
+          results[type].matches.push(...(occurrences.length > 0
+            ? occurrences.map(({ text, start, end }) => ({ text, normalized, start, end }))
+            : [{ text: entity.text, normalized, start: null, end: null }]));
+        }
+      }
+
+      for (const result of Object.values(results)) {
+        result.matches.sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+        if (chunks.length > MAX_ENTITY_CHUNKS) {
+          result.error = `Only the first ${MAX_ENTITY_CHUNKS} of ${chunks.length} parts of the document were searched for entities`;
+        }
+      }
+    } catch (error) {
+      console.error('Entity extraction error:', error);
+      for (const result of Object.values(results)) {
+        result.error = `Entity extraction failed: ${error.message}`;
       }
+    }
 
-      const pattern = dataTypes[dataType];
-      if (!pattern) {
-        throw new Error(`Unsupported data type: ${dataType}`);
+    return results;
+  }
+
+  /**
+   * Redacted text of a file, as sent to models, with the redaction report
+   */
+  async redactFile(filePath, originalName = path.basename(filePath)) {
+    try {
+      if (!this.redactor.enabled) {
+        throw new Error('Redaction is disabled (REDACT_PII=false)');
       }
 
-      const matches = content.match(pattern) || [];
+      const { content, redaction } = await this.extractContent(filePath, path.extname(originalName).toLowerCase());
+      console.log(`🕶️ Redacted ${redaction.total} value(s) in ${originalName}`);
       return {
         success: true,
-        dataType,
-        matches: [...new Set(matches)], // Remove duplicates
-        count: matches.length,
-        file: path.basename(filePath)
+        file: originalName,
+        content,
+        redaction,
+        timestamp: new Date().toISOString()
       };
     } catch (error) {
+      console.error('File redaction error:', error);
       return {
         success: false,
         error: error.message,
-        dataType,
-        file: path.basename(filePath)
+        file: originalName,
+        timestamp: new Date().toISOString()
       };
     }
   }
 
+  /**
+   * Compare two versions of a document (any supported formats): a section-aligned diff where every
+   * change cites its location in both files, plus a model summary of the material changes
+   */
+  async compareFiles(pathA, pathB, options = {}) {
+    const { summarize = true, model } = options;
+    const names = { a: path.basename(pathA), b: path.basename(pathB) };
+
+    try {
+      console.log(`🔀 Comparing ${names.a} with ${names.b}`);
+      const [documentA, documentB] = await Promise.all([
+        // Diffed locally; only the diff sent for the summary is redacted
+        this.extractContent(pathA, path.extname(pathA).toLowerCase(), { redact: false }),
+        this.extractContent(pathB, path.extname(pathB).toLowerCase(), { redact: false })
+      ]);
+
+      const comparison = diffDocuments(documentA, documentB);
+      const summary = summarize
+        ? await this.summarizeChanges(comparison.changes, names, model)
+        : null;
+
+      return {
+        success: true,
+        files: {
+          a: { name: names.a, type: documentA.metadata?.type, length: documentA.content.length, sections: comparison.stats.sections.a },
+          b: { name: names.b, type: documentB.metadata?.type, length: documentB.content.length, sections: comparison.stats.sections.b }
+        },
+        ...comparison,
+        diff: formatDiff(comparison.changes, names),
+        summary,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('File comparison error:', error);
+      return {
+        success: false,
+        error: error.message,
+        ...(error.code && { code: error.code }),
+        files: { a: { name: names.a }, b: { name: names.b } },
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Model summary of a diff's changes; each summarized change cites the locations of the diff changes behind it
+   */
+  async summarizeChanges(changes, names, model) {
+    if (changes.length === 0) {
+      return { overview: 'The documents have the same text.', changes: [], generated: false };
+    }
+
+    try {
+      // Redacted as one text, so a value gets the same placeholder in both versions
+      const diff = this.redactor.redact(formatDiff(changes, names)).text;
+      const { data } = await createStructuredCompletion([
+        {
+          role: 'system',
+          content: `You compare two versions of a document. "-" lines are text only in ${names.a} (the earlier version), "+" lines are text only in ${names.b}. Describe the changes that matter, most significant first, and cite the ids (#N) of the diff changes behind each one. Do not describe anything that is not in the diff.`
+        },
+        {
+          role: 'user',
+          content: diff.length > 12000 ? `${diff.substring(0, 12000)}\n...[${changes.length} changes in total; the rest are not shown]` : diff
+        }
+      ], ComparisonSummarySchema, {
+        model,
+        provider: this.provider,
+        agent: this.name,
+        temperature: 0.2
+      });
+
+      const byId = new Map(changes.map(change => [change.id, change]));
+      return {
+        overview: data.overview,
+        changes: data.changes.map(change => ({
+          ...change,
+          changeIds: change.changeIds.filter(id => byId.has(id)),
+          citations: change.changeIds.filter(id => byId.has(id)).map(id => ({ id, ...byId.get(id).locations }))
+        })),
+        generated: true
+      };
+    } catch (error) {
+      console.error('Change summary error:', error);
+      return {
+        overview: 'A summary of the changes could not be generated at this time.',
+        changes: [],
+        generated: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Typed tables of a spreadsheet, CSV file or PDF: one per sheet, one for a CSV file,
+   * and one per grid of aligned lines in a PDF
+   */
+  async extractTables(filePath, fileExtension = path.extname(filePath).toLowerCase()) {
+    // Queries run locally over the original values; only the samples shown to the model are redacted
+    const { tables = [] } = await this.extractContent(filePath, fileExtension, { redact: false });
+    return tables.map(table => buildTable(table.rows, { name: table.name, page: table.page }));
+  }
+
+  /**
+   * Answer a question about a file's tabular data. The model only plans a query (filters, grouping,
+   * aggregates) from the table schema and a few sample rows; the query runs locally over every row,
+   * so totals and averages are computed rather than guessed. A `query` can be given instead of a question.
+   */
+  async queryFile(filePath, options = {}) {
+    const { question, query: directQuery, table: tableName, model } = options;
+
+    try {
+      const tables = await this.extractTables(filePath);
+      if (tables.length === 0) {
+        throw new TableQueryError(`No tables found in ${path.basename(filePath)}`);
+      }
+
+      let query;
+      if (directQuery) {
+        const validation = TableQuerySchema.safeParse(directQuery);
+        if (!validation.success) {
+          throw new TableQueryError(`Invalid query: ${formatValidationIssues(validation.error)}`);
+        }
+        query = validation.data;
+      } else {
+        query = await this.planTableQuery(question, tables, { tableName, model });
+      }
+
+      const requested = tableName ?? query.table;
+      const table = requested === undefined
+        ? tables[0]
+        : tables.find(candidate => candidate.name.toLowerCase() === String(requested).toLowerCase()) || tables[requested];
+      if (!table) {
+        throw new TableQueryError(`Unknown table "${requested}". Tables: ${tables.map(candidate => candidate.name).join(', ')}`);
+      }
+
+      const result = queryTable(table, query);
+      console.log(`📊 Queried ${table.name} in ${path.basename(filePath)}: ${result.matchedRows} of ${table.rowCount} rows matched`);
+
+      return {
+        success: true,
+        file: path.basename(filePath),
+        question,
+        table: { name: table.name, page: table.page, columns: table.columns, rowCount: table.rowCount },
+        query: { ...query, table: table.name },
+        result,
+        answer: describeQueryResult(result),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('File query error:', error);
+      return {
+        success: false,
+        error: error.message,
+        ...(error.code && { code: error.code }),
+        file: path.basename(filePath),
+        question,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Ask the model for a TableQuerySchema query that answers the question, given each table's columns and sample rows
+   */
+  async planTableQuery(question, tables, options = {}) {
+    const { tableName, model } = options;
+    const candidates = tableName === undefined
+      ? tables
+      : tables.filter(table => table.name.toLowerCase() === String(tableName).toLowerCase());
+    const described = (candidates.length > 0 ? candidates : tables).map(table => [
+      `Table "${table.name}" (${table.rowCount} rows)${table.page ? ` on page ${table.page}` : ''}`,
+      `Columns: ${table.columns.map(column => `${column.name} (${column.type})`).join(', ')}`,
+      `Sample rows: ${JSON.stringify(table.rows.slice(0, 5))}`
+    ].join('\n'));
+
+    const { data } = await createStructuredCompletion([
+      {
+        role: 'system',
+        content: 'You translate questions about tabular data into a query. Use only the listed table and column names. Use aggregates for totals, averages, counts, minimums and maximums; never compute values yourself.'
+      },
+      {
+        role: 'user',
+        content: `${this.redactor.redact(described.join('\n\n')).text}\n\nQuestion: ${question}`
+      }
+    ], TableQuerySchema, {
+      model,
+      provider: this.provider,
+      agent: this.name,
+      temperature: 0
+    });
+
+    return data;
+  }
+
   /**
    * Get agent status and capabilities
    */
@@ -585,14 +1244,24 @@ export class FileSearchAgent {
       capabilities: this.capabilities,
       available: true,
       supportedFormats: this.supportedFormats,
+      extractors: this.extractors.list(),
       features: [
         'Word document reading',
+        'PowerPoint, HTML, Markdown, EPUB, OpenDocument and RTF extraction with slide, heading and chapter structure',
+        'Pluggable extractors for custom formats',
         'Excel spreadsheet parsing',
         'Text and CSV analysis',
         'JSON file processing',
+        'Page-aware PDF extraction with page citations',
         'Content search and analysis',
+        'Hybrid semantic + keyword retrieval over chunked documents',
         'AI-powered document insights',
-        'Specific data extraction'
+        'Map-reduce summaries of long documents as an executive summary, bullet outline or per-section summaries',
+        'Data extraction with normalized dates, phone numbers and amounts, and named entities',
+        'Table queries over spreadsheets, CSV files and PDF tables with exact aggregates',
+        'Section-aligned document comparison with a summary of material changes',
+        'Content-addressed cache of extractions and summaries',
+        'Redaction of emails, phone numbers, payment cards, IBANs and SSNs before any model call'
       ]
     };
   }
@@ -1,10 +1,13 @@
-import OpenAI from 'openai';
+import { getProvider, requireCapability } from '../config/providers.js';
+import { withResilience } from '../config/resilience.js';
+import { findPrice } from '../config/pricing.js';
+import { usageLedger } from '../usage/UsageLedger.js';
 
 class TextToImageAgent {
-    constructor(apiKey) {
-        this.openai = new OpenAI({
-            apiKey: apiKey
-        });
+    constructor(options = {}) {
+        // Use the default provider when it can generate images, otherwise OpenAI
+        this.provider = getProvider(options.provider || (getProvider().capabilities.images ? undefined : 'openai'));
+        this.openai = this.provider.client;
     }
 
     async generateImage(prompt, options = {}) {
@@ -17,6 +20,8 @@ class TextToImageAgent {
                 n = 1 // number of images (1-10 for DALL-E 2, only 1 for DALL-E 3)
             } = options;
 
+            requireCapability(this.provider, 'images');
+
             // Validate prompt
             const validation = this.validatePrompt(prompt);
             if (!validation.valid) {
@@ -40,7 +45,19 @@ class TextToImageAgent {
                 requestParams.n = 1; // DALL-E 3 only supports n=1
             }
 
-            const response = await this.openai.images.generate(requestParams);
+            const response = await withResilience(this.provider.name, (requestOptions) =>
+                this.openai.images.generate(requestParams, requestOptions)
+            );
+
+            usageLedger.record({
+                type: 'images',
+                agent: 'TextToImageAgent',
+                provider: this.provider.name,
+                model,
+                images: response.data.length,
+                size,
+                quality: model === 'dall-e-3' ? quality : 'standard'
+            });
 
             return {
                 success: true,
@@ -93,6 +110,12 @@ class TextToImageAgent {
         }
     }
 
+    // Format an image price from the price table, e.g. "$0.040"
+    formatImagePrice(model, quality, size) {
+        const price = findPrice('images', model)?.[quality]?.[size];
+        return price !== undefined ? `$${price.toFixed(3)}` : 'n/a';
+    }
+
     // Get available models
     getAvailableModels() {
         return [
@@ -100,13 +123,13 @@ class TextToImageAgent {
                 value: 'dall-e-2', 
                 name: 'DALL-E 2', 
                 description: 'Cheaper, faster, multiple images supported',
-                pricing: '$0.020 per image (1024×1024)'
+                pricing: `${this.formatImagePrice('dall-e-2', 'standard', '1024x1024')} per image (1024×1024)`
             },
             { 
                 value: 'dall-e-3', 
                 name: 'DALL-E 3', 
                 description: 'Higher quality, better prompt following',
-                pricing: '$0.040 per image (1024×1024 standard)'
+                pricing: `${this.formatImagePrice('dall-e-3', 'standard', '1024x1024')} per image (1024×1024 standard)`
             }
         ];
     }
@@ -115,16 +138,22 @@ class TextToImageAgent {
     getAvailableSizes(model = 'dall-e-2') {
         if (model === 'dall-e-3') {
             return [
-                { value: '1024x1024', name: '1024×1024 (Square)', pricing: '$0.040 standard / $0.080 HD' },
-                { value: '1792x1024', name: '1792×1024 (Landscape)', pricing: '$0.080 standard / $0.120 HD' },
-                { value: '1024x1792', name: '1024×1792 (Portrait)', pricing: '$0.080 standard / $0.120 HD' }
-            ];
+                { value: '1024x1024', name: '1024×1024 (Square)' },
+                { value: '1792x1024', name: '1792×1024 (Landscape)' },
+                { value: '1024x1792', name: '1024×1792 (Portrait)' }
+            ].map(size => ({
+                ...size,
+                pricing: `${this.formatImagePrice(model, 'standard', size.value)} standard / ${this.formatImagePrice(model, 'hd', size.value)} HD`
+            }));
         } else {
             return [
-                { value: '256x256', name: '256×256', pricing: '$0.016' },
-                { value: '512x512', name: '512×512', pricing: '$0.018' },
-                { value: '1024x1024', name: '1024×1024', pricing: '$0.020' }
-            ];
+                { value: '256x256', name: '256×256' },
+                { value: '512x512', name: '512×512' },
+                { value: '1024x1024', name: '1024×1024' }
+            ].map(size => ({
+                ...size,
+                pricing: this.formatImagePrice(model, 'standard', size.value)
+            }));
         }
     }
 
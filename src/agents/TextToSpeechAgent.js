@@ -1,10 +1,12 @@
-import OpenAI from 'openai';
+import { getProvider, requireCapability } from '../config/providers.js';
+import { withResilience } from '../config/resilience.js';
+import { usageLedger } from '../usage/UsageLedger.js';
 
 class TextToSpeechAgent {
-    constructor(apiKey) {
-        this.openai = new OpenAI({
-            apiKey: apiKey
-        });
+    constructor(options = {}) {
+        // Use the default provider when it can generate audio, otherwise OpenAI
+        this.provider = getProvider(options.provider || (getProvider().capabilities.audio ? undefined : 'openai'));
+        this.openai = this.provider.client;
     }
 
     async convertTextToSpeech(text, options = {}) {
@@ -16,6 +18,8 @@ class TextToSpeechAgent {
                 speed = 1.0 // 0.25 to 4.0
             } = options;
 
+            requireCapability(this.provider, 'audio');
+
             // Validate text length (max 4096 characters for TTS)
             if (text.length > 4096) {
                 throw new Error('Text too long. Maximum length is 4096 characters.');
@@ -23,12 +27,22 @@ class TextToSpeechAgent {
 
             console.log(`🗣️ Converting text to speech with voice: ${voice}`);
 
-            const response = await this.openai.audio.speech.create({
-                model: model,
-                voice: voice,
-                input: text,
-                response_format: format,
-                speed: speed
+            const response = await withResilience(this.provider.name, (requestOptions) =>
+                this.openai.audio.speech.create({
+                    model: model,
+                    voice: voice,
+                    input: text,
+                    response_format: format,
+                    speed: speed
+                }, requestOptions)
+            );
+
+            usageLedger.record({
+                type: 'speech',
+                agent: 'TextToSpeechAgent',
+                provider: this.provider.name,
+                model,
+                characters: text.length
             });
 
             // Return the audio buffer
@@ -3,8 +3,11 @@ import * as cheerio from 'cheerio';
 import { createChatCompletion } from '../config/openai.js';
 
 export class WebSearchAgent {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'WebSearchAgent';
+    this.provider = options.provider;
+    // Model for the answer synthesis; the provider's default when not set
+    this.model = options.model;
     this.description = 'AI agent that can search the internet and get the latest information';
     this.capabilities = ['web_search', 'content_extraction', 'information_synthesis'];
   }
@@ -291,6 +294,9 @@ export class WebSearchAgent {
       ];
 
       const response = await createChatCompletion(messages, {
+        provider: this.provider,
+        model: this.model,
+        agent: this.name,
         max_tokens: 1000,
         temperature: 0.3
       });
@@ -0,0 +1,325 @@
+import { v4 as uuidv4 } from 'uuid';
+import { config, getProvider, getModel, getModelInfo } from '../config/openai.js';
+import { ResponsesAPI } from './ResponsesAPI.js';
+
+// Context window (in tokens) assumed for models that are not in the model registry
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Number of most recent messages that are never folded into the summary
+const KEEP_RECENT_MESSAGES = 6;
+
+// Sessions kept in memory; beyond this the least recently used are dropped
+const MAX_SESSIONS = parseInt(process.env.CHAT_MAX_SESSIONS) || 1000;
+
+/**
+ * Rough token estimate (~4 characters per token) used for history budgeting
+ */
+function estimateTokens(text = '') {
+  return Math.ceil(text.length / 4) + 4;
+}
+
+/**
+ * In-memory chat sessions. At most `maxSessions` (CHAT_MAX_SESSIONS, default 1000) are kept;
+ * creating one beyond that drops the least recently used.
+ */
+export class ChatSessions {
+  constructor(responsesAPI = new ResponsesAPI(), options = {}) {
+    this.name = 'ChatSessions';
+    this.description = 'Server-side multi-turn chat sessions built on ResponsesAPI.conversation';
+    this.responsesAPI = responsesAPI;
+    this.maxSessions = options.maxSessions || MAX_SESSIONS;
+    // sessionId -> session, least recently used first
+    this.sessions = new Map();
+  }
+
+  /**
+   * Mark a session as the most recently used, dropping the least recently used beyond `maxSessions`
+   */
+  remember(session) {
+    this.sessions.delete(session.id);
+    this.sessions.set(session.id, session);
+    for (const sessionId of this.sessions.keys()) {
+      if (this.sessions.size <= this.maxSessions) {
+        break;
+      }
+      this.sessions.delete(sessionId);
+      console.log(`🧹 Dropped least recently used chat session: ${sessionId}`);
+    }
+  }
+
+  /**
+   * Create a new chat session
+   */
+  createSession(options = {}) {
+    const {
+      title,
+      systemPrompt = 'You are a helpful AI assistant.',
+      model = config.model,
+      temperature = config.temperature,
+      max_tokens = config.max_tokens,
+      historyStrategy = 'summarize',
+      provider
+    } = options;
+
+    if (!['summarize', 'truncate'].includes(historyStrategy)) {
+      return {
+        success: false,
+        error: `Unknown history strategy: ${historyStrategy}. Use summarize or truncate.`
+      };
+    }
+
+    try {
+      getModel(model, getProvider(provider));
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    const session = {
+      id: uuidv4(),
+      title: title || 'New chat',
+      systemPrompt,
+      model,
+      temperature,
+      max_tokens,
+      historyStrategy,
+      provider: provider || null,
+      messages: [],
+      summary: null,
+      summarizedCount: 0,
+      created: new Date().toISOString(),
+      updated: new Date().toISOString()
+    };
+
+    this.remember(session);
+    console.log(`💬 Created chat session: ${session.id}`);
+
+    return {
+      success: true,
+      session: this.describeSession(session)
+    };
+  }
+
+  /**
+   * Post a user message to a session and get the assistant's reply
+   */
+  async sendMessage(sessionId, message) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return {
+        success: false,
+        error: 'Session not found'
+      };
+    }
+    this.remember(session);
+
+    const userMessage = {
+      role: 'user',
+      content: message,
+      timestamp: new Date().toISOString()
+    };
+    session.messages.push(userMessage);
+
+    let history;
+    let result;
+    try {
+      history = await this.buildContext(session);
+      result = await this.responsesAPI.conversation(
+        history.messages.map(({ role, content }) => ({ role, content })),
+        {
+          provider: session.provider || undefined,
+          agent: this.name,
+          model: session.model,
+          temperature: session.temperature,
+          max_tokens: session.max_tokens,
+          systemPrompt: history.systemPrompt
+        }
+      );
+    } catch (error) {
+      this.removeMessage(session, userMessage);
+      throw error;
+    }
+
+    if (!result.success) {
+      // Drop the unanswered message so a retry does not send it twice
+      this.removeMessage(session, userMessage);
+      return {
+        success: false,
+        error: result.error,
+        sessionId
+      };
+    }
+
+    session.messages.push({
+      role: 'assistant',
+      content: result.response,
+      timestamp: new Date().toISOString()
+    });
+    session.updated = new Date().toISOString();
+
+    return {
+      success: true,
+      sessionId,
+      response: result.response,
+      usage: result.usage,
+      model: result.model,
+      context: {
+        strategy: session.historyStrategy,
+        messagesSent: history.messages.length,
+        messagesDropped: history.dropped,
+        summarized: session.summarizedCount,
+        estimatedTokens: history.estimatedTokens
+      },
+      created: result.created
+    };
+  }
+
+  /**
+   * Remove one message from a session. Found by identity, since messages sent concurrently to the
+   * same session may have been added after it.
+   */
+  removeMessage(session, message) {
+    const index = session.messages.indexOf(message);
+    if (index === -1) {
+      return;
+    }
+    session.messages.splice(index, 1);
+    if (index < session.summarizedCount) {
+      session.summarizedCount--;
+    }
+  }
+
+  /**
+   * Build the messages sent to the model, shortening history that exceeds the context window
+   */
+  async buildContext(session) {
+    const contextWindow = getModelInfo(session.model)?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    const budget = contextWindow - session.max_tokens;
+
+    const systemPromptFor = () => session.summary
+      ? `${session.systemPrompt}\n\nSummary of the earlier conversation:\n${session.summary}`
+      : session.systemPrompt;
+
+    const countTokens = (messages) => messages.reduce(
+      (total, msg) => total + estimateTokens(msg.content),
+      estimateTokens(systemPromptFor())
+    );
+
+    let messages = session.messages.slice(session.summarizedCount);
+
+    if (session.historyStrategy === 'summarize' && countTokens(messages) > budget) {
+      const foldCount = messages.length - KEEP_RECENT_MESSAGES;
+      if (foldCount > 0) {
+        await this.summarizeHistory(session, foldCount);
+        messages = session.messages.slice(session.summarizedCount);
+      }
+    }
+
+    // Truncate the oldest messages if we are still over budget (always keep the latest message)
+    let dropped = 0;
+    while (messages.length > 1 && countTokens(messages) > budget) {
+      messages = messages.slice(1);
+      dropped++;
+    }
+
+    return {
+      systemPrompt: systemPromptFor(),
+      messages,
+      dropped,
+      estimatedTokens: countTokens(messages)
+    };
+  }
+
+  /**
+   * Fold the oldest unsummarized messages into the session's running summary
+   */
+  async summarizeHistory(session, count) {
+    const toSummarize = session.messages.slice(session.summarizedCount, session.summarizedCount + count);
+    const transcript = toSummarize.map(msg => `${msg.role}: ${msg.content}`).join('\n');
+
+    const result = await this.responsesAPI.chat({
+      message: `${session.summary ? `Existing summary:\n${session.summary}\n\n` : ''}Conversation to add to the summary:\n${transcript}\n\nWrite an updated, concise summary that preserves names, facts, decisions and open questions.`,
+      systemPrompt: 'You summarize conversations so they can be continued later without losing important context.',
+      provider: session.provider || undefined,
+      agent: this.name,
+      model: session.model,
+      temperature: 0.3,
+      max_tokens: 500
+    });
+
+    // If summarization fails the caller falls back to truncation
+    if (result.success) {
+      session.summary = result.response;
+      session.summarizedCount += count;
+      console.log(`📝 Summarized ${count} messages in chat session: ${session.id}`);
+    }
+  }
+
+  /**
+   * List all sessions
+   */
+  listSessions() {
+    const sessions = Array.from(this.sessions.values()).map(session => this.describeSession(session));
+
+    return {
+      success: true,
+      sessions,
+      total: sessions.length
+    };
+  }
+
+  /**
+   * Get a session with its full message history
+   */
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return {
+        success: false,
+        error: 'Session not found'
+      };
+    }
+    this.remember(session);
+
+    return {
+      success: true,
+      session
+    };
+  }
+
+  /**
+   * Delete a session
+   */
+  deleteSession(sessionId) {
+    if (!this.sessions.delete(sessionId)) {
+      return {
+        success: false,
+        error: 'Session not found'
+      };
+    }
+
+    return {
+      success: true,
+      message: `Session ${sessionId} deleted successfully`
+    };
+  }
+
+  /**
+   * Session overview without the message history
+   */
+  describeSession(session) {
+    return {
+      id: session.id,
+      title: session.title,
+      model: session.model,
+      provider: session.provider,
+      historyStrategy: session.historyStrategy,
+      messageCount: session.messages.length,
+      hasSummary: Boolean(session.summary),
+      created: session.created,
+      updated: session.updated
+    };
+  }
+}
@@ -1,4 +1,5 @@
-import { createChatCompletion, config } from '../config/openai.js';
+import { createChatCompletion, config, getProvider, listModels } from '../config/openai.js';
+import { recordCompletionUsage } from '../usage/UsageLedger.js';
 
 export class ResponsesAPI {
   constructor() {
@@ -15,7 +16,9 @@ export class ResponsesAPI {
       model = config.model,
       temperature = config.temperature,
       max_tokens = config.max_tokens,
-      systemPrompt = "You are a helpful AI assistant."
+      systemPrompt = "You are a helpful AI assistant.",
+      provider,
+      agent = this.name
     } = options;
 
     const messages = [
@@ -25,6 +28,8 @@ export class ResponsesAPI {
 
     try {
       const response = await createChatCompletion(messages, {
+        provider,
+        agent,
         model,
         temperature,
         max_tokens: max_tokens
@@ -54,7 +59,9 @@ export class ResponsesAPI {
       model = config.model,
       temperature = config.temperature,
       max_tokens = config.max_tokens,
-      systemPrompt = "You are a helpful AI assistant."
+      systemPrompt = "You are a helpful AI assistant.",
+      provider,
+      agent = this.name
     } = options;
 
     // Ensure system message is first
@@ -65,6 +72,8 @@ export class ResponsesAPI {
 
     try {
       const response = await createChatCompletion(conversationMessages, {
+        provider,
+        agent,
         model,
         temperature,
         max_tokens: max_tokens
@@ -89,6 +98,7 @@ export class ResponsesAPI {
 
   /**
    * Streaming response for real-time applications
+   * Pass an AbortSignal as `signal` to cancel the upstream request.
    */
   async *streamChat(options) {
     const {
@@ -96,7 +106,10 @@ export class ResponsesAPI {
       model = config.model,
       temperature = config.temperature,
       max_tokens = config.max_tokens,
-      systemPrompt = "You are a helpful AI assistant."
+      systemPrompt = "You are a helpful AI assistant.",
+      provider,
+      agent = this.name,
+      signal
     } = options;
 
     const messages = [
@@ -106,13 +119,27 @@ export class ResponsesAPI {
 
     try {
       const stream = await createChatCompletion(messages, {
+        provider,
+        agent,
         model,
         temperature,
         max_tokens: max_tokens,
-        stream: true
+        stream: true,
+        stream_options: { include_usage: true },
+        signal
       });
 
+      let usage = null;
+      let responseModel = model;
+
       for await (const chunk of stream) {
+        responseModel = chunk.model || responseModel;
+
+        // The last chunk carries token usage and no choices
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
         const content = chunk.choices[0]?.delta?.content || '';
         if (content) {
           yield {
@@ -123,10 +150,15 @@ export class ResponsesAPI {
         }
       }
 
+      recordCompletionUsage({ usage, model: responseModel }, { agent, provider: getProvider(provider).name });
+
       yield {
         success: true,
         content: '',
-        done: true
+        done: true,
+        usage,
+        model: responseModel,
+        created: new Date().toISOString()
       };
     } catch (error) {
       yield {
@@ -209,13 +241,8 @@ export class ResponsesAPI {
         generate: 'Content generation',
         qa: 'Question and Answer'
       },
-      supportedModels: [
-        'gpt-4',
-        'gpt-4-turbo',
-        'gpt-4-turbo-preview',
-        'gpt-3.5-turbo',
-        'gpt-3.5-turbo-16k'
-      ]
+      defaultModel: config.model,
+      supportedModels: listModels('chat').map(model => model.id)
     };
   }
 } 
\ No newline at end of file
@@ -0,0 +1,177 @@
+import fs from 'fs-extra';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Built-in model registry. Prices are USD per 1M tokens; contextWindow and
+// maxOutputTokens are in tokens.
+const defaultModels = {
+  'gpt-4o-mini': {
+    type: 'chat',
+    contextWindow: 128000,
+    maxOutputTokens: 16384,
+    pricing: { input: 0.15, output: 0.6 },
+    capabilities: { streaming: true, tools: true, jsonMode: true, vision: true }
+  },
+  'gpt-4o': {
+    type: 'chat',
+    contextWindow: 128000,
+    maxOutputTokens: 16384,
+    pricing: { input: 2.5, output: 10 },
+    capabilities: { streaming: true, tools: true, jsonMode: true, vision: true }
+  },
+  'gpt-4.1': {
+    type: 'chat',
+    contextWindow: 1047576,
+    maxOutputTokens: 32768,
+    pricing: { input: 2, output: 8 },
+    capabilities: { streaming: true, tools: true, jsonMode: true, vision: true }
+  },
+  'gpt-4.1-mini': {
+    type: 'chat',
+    contextWindow: 1047576,
+    maxOutputTokens: 32768,
+    pricing: { input: 0.4, output: 1.6 },
+    capabilities: { streaming: true, tools: true, jsonMode: true, vision: true }
+  },
+  'gpt-4.1-nano': {
+    type: 'chat',
+    contextWindow: 1047576,
+    maxOutputTokens: 32768,
+    pricing: { input: 0.1, output: 0.4 },
+    capabilities: { streaming: true, tools: true, jsonMode: true, vision: true }
+  },
+  'gpt-4-turbo': {
+    type: 'chat',
+    contextWindow: 128000,
+    maxOutputTokens: 4096,
+    pricing: { input: 10, output: 30 },
+    capabilities: { streaming: true, tools: true, jsonMode: true, vision: true }
+  },
+  'gpt-4-turbo-preview': {
+    type: 'chat',
+    contextWindow: 128000,
+    maxOutputTokens: 4096,
+    pricing: { input: 10, output: 30 },
+    capabilities: { streaming: true, tools: true, jsonMode: true, vision: false }
+  },
+  'gpt-4': {
+    type: 'chat',
+    contextWindow: 8192,
+    maxOutputTokens: 8192,
+    pricing: { input: 30, output: 60 },
+    capabilities: { streaming: true, tools: true, jsonMode: false, vision: false }
+  },
+  'gpt-3.5-turbo': {
+    type: 'chat',
+    contextWindow: 16385,
+    maxOutputTokens: 4096,
+    pricing: { input: 0.5, output: 1.5 },
+    capabilities: { streaming: true, tools: true, jsonMode: true, vision: false }
+  },
+  'gpt-3.5-turbo-16k': {
+    type: 'chat',
+    contextWindow: 16385,
+    maxOutputTokens: 4096,
+    pricing: { input: 3, output: 4 },
+    capabilities: { streaming: true, tools: true, jsonMode: false, vision: false }
+  },
+  'text-embedding-3-small': {
+    type: 'embeddings',
+    contextWindow: 8191,
+    dimensions: 1536,
+    pricing: { input: 0.02 }
+  },
+  'text-embedding-3-large': {
+    type: 'embeddings',
+    contextWindow: 8191,
+    dimensions: 3072,
+    pricing: { input: 0.13 }
+  },
+  'text-embedding-ada-002': {
+    type: 'embeddings',
+    contextWindow: 8191,
+    dimensions: 1536,
+    pricing: { input: 0.1 }
+  }
+};
+
+/**
+ * Error for a model name that is not in the registry
+ */
+export class UnknownModelError extends Error {
+  constructor(model, type) {
+    const known = Object.keys(models).filter(name => !type || models[name].type === type);
+    super(`Unknown ${type ? `${type} ` : ''}model: ${model}. Available models: ${known.join(', ')} (add others via MODELS_FILE)`);
+    this.name = 'UnknownModelError';
+    this.status = 400;
+    this.code = 'UNKNOWN_MODEL';
+  }
+}
+
+/**
+ * Load the registry, merging MODELS_FILE (same shape as the defaults) over the built-in models
+ */
+function loadModels() {
+  const registry = structuredClone(defaultModels);
+  const modelsFile = process.env.MODELS_FILE;
+
+  if (modelsFile) {
+    try {
+      const overrides = fs.readJsonSync(modelsFile);
+      for (const [name, entry] of Object.entries(overrides)) {
+        const existing = registry[name] || { type: 'chat', capabilities: {} };
+        registry[name] = {
+          ...existing,
+          ...entry,
+          capabilities: { ...existing.capabilities, ...entry.capabilities }
+        };
+      }
+      console.log(`🧠 Loaded model registry overrides from ${modelsFile}`);
+    } catch (error) {
+      console.error(`Failed to load models file ${modelsFile}:`, error.message);
+    }
+  }
+
+  return registry;
+}
+
+const models = loadModels();
+
+/**
+ * Look up a model, also matching dated snapshots of a registered model
+ * (e.g. "gpt-4o-mini-2024-07-18" resolves to the "gpt-4o-mini" entry). Returns null when unknown.
+ */
+export function getModelInfo(model) {
+  if (!model) {
+    return null;
+  }
+
+  const name = models[model]
+    ? model
+    : Object.keys(models)
+      .filter(candidate => model.startsWith(`${candidate}-`) && /^\d/.test(model.slice(candidate.length + 1)))
+      .sort((a, b) => b.length - a.length)[0];
+
+  return name ? { id: model, registryId: name, ...models[name] } : null;
+}
+
+/**
+ * Get a model's registry entry, throwing UnknownModelError for unknown models or models of another type
+ */
+export function resolveModel(model, type = 'chat') {
+  const info = getModelInfo(model);
+  if (!info || (type && info.type !== type)) {
+    throw new UnknownModelError(model, type);
+  }
+  return info;
+}
+
+/**
+ * List registered models, optionally of one type (chat or embeddings)
+ */
+export function listModels(type) {
+  return Object.entries(models)
+    .filter(([, entry]) => !type || entry.type === type)
+    .map(([id, entry]) => ({ id, ...entry }));
+}
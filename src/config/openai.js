@@ -1,10 +1,14 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { getProvider, getDefaultProviderName, requireCapability } from './providers.js';
+import { withResilience, toServiceError } from './resilience.js';
+import { recordCompletionUsage } from '../usage/UsageLedger.js';
+import { toJsonSchema, formatValidationIssues } from './schema.js';
+import { getModelInfo, resolveModel } from './models.js';
 
 dotenv.config();
 
-// Validate OpenAI API key (don't exit during build, only warn)
-if (!process.env.OPENAI_API_KEY) {
+// Validate OpenAI API key when OpenAI is the default provider (don't exit during build, only warn)
+if (!process.env.OPENAI_API_KEY && getDefaultProviderName() === 'openai') {
   console.warn('⚠️ OPENAI_API_KEY is not set in environment variables');
   console.log('Please set your OpenAI API key in the environment:');
   console.log('OPENAI_API_KEY=your_openai_api_key_here');
@@ -16,14 +20,12 @@ if (!process.env.OPENAI_API_KEY) {
   }
 }
 
-// Initialize OpenAI client with fallback
+// Client for the default provider (kept as the module's default export)
 let openai;
 try {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY || 'dummy-key-for-build',
-  });
+  openai = getProvider().client;
 } catch (error) {
-  console.error('Failed to initialize OpenAI client:', error);
+  console.error('Failed to initialize LLM client:', error);
   openai = null;
 }
 
@@ -32,68 +34,237 @@ export const config = {
       model: process.env.DEFAULT_MODEL || 'gpt-3.5-turbo',
   temperature: parseFloat(process.env.TEMPERATURE) || 0.7,
       max_tokens: parseInt(process.env.MAX_TOKENS) || 1000,
+  embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
 };
 
 // Helper function to validate and get model
-export function getModel(requestedModel) {
-  const availableModels = [
-    'gpt-4',
-    'gpt-4-turbo',
-    'gpt-4-turbo-preview',
-    'gpt-3.5-turbo',
-    'gpt-3.5-turbo-16k'
-  ];
-  
-  if (requestedModel && availableModels.includes(requestedModel)) {
+export function getModel(requestedModel, provider = getProvider()) {
+  // Other providers serve their own model names (local models, Azure deployments);
+  // the app-wide default model maps to the provider's default
+  if (provider.type !== 'openai') {
+    if (!requestedModel || requestedModel === config.model) {
+      return provider.defaultModel || config.model;
+    }
     return requestedModel;
   }
-  
-  return config.model;
+
+  // Unknown models are rejected rather than silently replaced by the default
+  return resolveModel(requestedModel || config.model).id;
+}
+
+// Check a capability of the model a call will use. Models of other providers
+// are not in the registry, so only the provider's capability flags apply to them.
+export function modelSupports(capability, requestedModel, provider = getProvider()) {
+  if (!provider.capabilities[capability]) {
+    return false;
+  }
+  if (provider.type !== 'openai') {
+    return true;
+  }
+  return resolveModel(getModel(requestedModel, provider)).capabilities?.[capability] !== false;
+}
+
+// Cap max_tokens at the model's maximum output (when the model is in the registry)
+function limitMaxTokens(model, maxTokens) {
+  const limit = getModelInfo(model)?.maxOutputTokens;
+  return limit ? Math.min(maxTokens, limit) : maxTokens;
+}
+
+// Resolve the provider for a call (options.provider, else LLM_PROVIDER)
+function resolveProvider(providerName) {
+  const provider = getProvider(providerName);
+  if (!provider.client) {
+    throw new Error(`${provider.name} client not initialized. Please check your API key.`);
+  }
+  return provider;
 }
 
 // Helper function to create chat completion
 export async function createChatCompletion(messages, options = {}) {
-  if (!openai) {
-    throw new Error('OpenAI client not initialized. Please check your API key.');
+  // Request options (an AbortSignal, the provider and the agent label used for usage accounting)
+  // are not part of the API payload
+  const { signal, provider: providerName, agent, ...requestOptions } = options;
+  const provider = resolveProvider(providerName);
+  
+  if (requestOptions.stream) {
+    requireCapability(provider, 'streaming');
+  }
+  if (requestOptions.response_format) {
+    requireCapability(provider, 'jsonMode');
+  }
+  
+  const model = getModel(requestOptions.model, provider);
+  if (requestOptions.response_format && !modelSupports('jsonMode', model, provider)) {
+    throw new Error(`Model ${model} does not support JSON mode`);
   }
   
   try {
-    const response = await openai.chat.completions.create({
-      model: getModel(options.model),
-      messages,
-      temperature: options.temperature ?? config.temperature,
-      max_tokens: options.max_tokens ?? config.max_tokens,
-      ...options
-    });
+    const response = await withResilience(provider.name, (resilienceOptions) =>
+      provider.client.chat.completions.create({
+        temperature: requestOptions.temperature ?? config.temperature,
+        ...requestOptions,
+        max_tokens: limitMaxTokens(model, requestOptions.max_tokens ?? config.max_tokens),
+        model,
+        messages
+      }, { ...resilienceOptions, signal }),
+      { signal }
+    );
+    
+    // Streams report usage in their final chunk, which the stream consumer records
+    if (!requestOptions.stream) {
+      recordCompletionUsage(response, { agent, provider: provider.name });
+    }
     
     return response;
   } catch (error) {
     console.error('OpenAI API Error:', error);
-    throw new Error(`OpenAI API Error: ${error.message}`);
+    throw toServiceError('OpenAI API Error', error);
   }
 }
 
 // Helper function for function calling
 export async function createFunctionCall(messages, functions, options = {}) {
-  if (!openai) {
-    throw new Error('OpenAI client not initialized. Please check your API key.');
-  }
+  const provider = resolveProvider(options.provider);
+  requireCapability(provider, 'tools');
+  const model = getModel(options.model, provider);
   
   try {
-    const response = await openai.chat.completions.create({
-      model: getModel(options.model),
-      messages,
-      functions,
-      function_call: options.function_call || 'auto',
-      temperature: options.temperature ?? config.temperature,
-      max_tokens: options.max_tokens ?? config.max_tokens,
-    });
+    const response = await withResilience(provider.name, (resilienceOptions) =>
+      provider.client.chat.completions.create({
+        model,
+        messages,
+        functions,
+        function_call: options.function_call || 'auto',
+        temperature: options.temperature ?? config.temperature,
+        max_tokens: limitMaxTokens(model, options.max_tokens ?? config.max_tokens),
+      }, resilienceOptions)
+    );
     
+    recordCompletionUsage(response, { agent: options.agent, provider: provider.name });
     return response;
   } catch (error) {
     console.error('OpenAI Function Call Error:', error);
-    throw new Error(`OpenAI Function Call Error: ${error.message}`);
+    throw toServiceError('OpenAI Function Call Error', error);
   }
 }
 
-export default openai; 
\ No newline at end of file
+// Helper function for tool calling (tools / tool_choice API)
+export async function createToolCall(messages, tools, options = {}) {
+  const provider = resolveProvider(options.provider);
+  requireCapability(provider, 'tools');
+  const model = getModel(options.model, provider);
+  
+  try {
+    const response = await withResilience(provider.name, (resilienceOptions) =>
+      provider.client.chat.completions.create({
+        model,
+        messages,
+        tools,
+        tool_choice: options.tool_choice || 'auto',
+        temperature: options.temperature ?? config.temperature,
+        max_tokens: limitMaxTokens(model, options.max_tokens ?? config.max_tokens),
+      }, resilienceOptions)
+    );
+    
+    recordCompletionUsage(response, { agent: options.agent, provider: provider.name });
+    return response;
+  } catch (error) {
+    console.error('OpenAI Tool Call Error:', error);
+    throw toServiceError('OpenAI Tool Call Error', error);
+  }
+}
+
+// Helper function to embed one text or a batch of texts; returns one vector per input
+export async function createEmbedding(input, options = {}) {
+  const provider = resolveProvider(options.provider);
+  requireCapability(provider, 'embeddings');
+  
+  // Registry check for OpenAI; other providers name their own embedding models
+  const model = provider.type === 'openai'
+    ? resolveModel(options.model || config.embeddingModel, 'embeddings').id
+    : options.model || config.embeddingModel;
+  
+  try {
+    const response = await withResilience(provider.name, (resilienceOptions) =>
+      provider.client.embeddings.create({
+        model,
+        input,
+        ...(options.dimensions && { dimensions: options.dimensions })
+      }, resilienceOptions)
+    );
+    
+    recordCompletionUsage(response, { agent: options.agent, provider: provider.name, type: 'embeddings' });
+    return {
+      embeddings: response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding),
+      model: response.model || model,
+      usage: response.usage
+    };
+  } catch (error) {
+    console.error('OpenAI Embedding Error:', error);
+    throw toServiceError('OpenAI Embedding Error', error);
+  }
+}
+
+// Helper function for structured JSON output validated against a zod schema.
+// Invalid output is sent back to the model with the validation errors and retried.
+export async function createStructuredCompletion(messages, zodSchema, options = {}) {
+  const { maxAttempts = 3, jsonSchema = toJsonSchema(zodSchema), ...completionOptions } = options;
+  const jsonMode = modelSupports('jsonMode', completionOptions.model, getProvider(completionOptions.provider));
+  
+  const conversation = [
+    {
+      role: 'system',
+      content: `Respond only with a JSON object that matches this JSON schema:\n${JSON.stringify(jsonSchema)}`
+    },
+    ...messages
+  ];
+  
+  let lastError;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await createChatCompletion(conversation, {
+      ...completionOptions,
+      // Providers and models without JSON mode rely on the instructions and validation alone
+      ...(jsonMode && { response_format: { type: 'json_object' } })
+    });
+    
+    const content = response.choices[0].message.content || '';
+    let parsed;
+    try {
+      // Tolerate models that wrap JSON in a markdown code fence
+      parsed = JSON.parse(content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+    } catch (error) {
+      lastError = `Response was not valid JSON: ${error.message}`;
+    }
+    
+    if (parsed !== undefined) {
+      const validation = zodSchema.safeParse(parsed);
+      if (validation.success) {
+        return {
+          data: validation.data,
+          attempts: attempt,
+          usage: response.usage,
+          model: response.model
+        };
+      }
+      lastError = formatValidationIssues(validation.error);
+    }
+    
+    console.warn(`⚠️ Structured output attempt ${attempt}/${maxAttempts} failed validation`);
+    conversation.push(
+      { role: 'assistant', content },
+      { role: 'user', content: `Your response did not match the required schema:\n${lastError}\n\nRespond again with only the corrected JSON object.` }
+    );
+  }
+  
+  const error = new Error(`Structured output failed validation after ${maxAttempts} attempts:\n${lastError}`);
+  error.code = 'STRUCTURED_OUTPUT_INVALID';
+  throw error;
+}
+
+export { getProvider, listProviders, registerProvider } from './providers.js';
+export { getModelInfo, resolveModel, listModels, UnknownModelError } from './models.js';
+export { getCircuitBreakerStatus } from './resilience.js';
+
+export default openai;
@@ -0,0 +1,108 @@
+import fs from 'fs-extra';
+import dotenv from 'dotenv';
+import { listModels } from './models.js';
+
+dotenv.config();
+
+/**
+ * Per-1M-token prices of the chat or embedding models in the model registry
+ */
+function registryPricing(type) {
+  return Object.fromEntries(
+    listModels(type)
+      .filter(model => model.pricing)
+      .map(model => [model.id, model.pricing])
+  );
+}
+
+// Default prices in USD. Chat and embedding models are priced per 1M tokens (from the model registry),
+// speech models per 1M characters and image models per image (by quality and size).
+const defaultPricing = {
+  chat: registryPricing('chat'),
+  embeddings: registryPricing('embeddings'),
+  speech: {
+    'tts-1': { perMillionCharacters: 15 },
+    'tts-1-hd': { perMillionCharacters: 30 }
+  },
+  images: {
+    'dall-e-2': {
+      standard: { '256x256': 0.016, '512x512': 0.018, '1024x1024': 0.02 }
+    },
+    'dall-e-3': {
+      standard: { '1024x1024': 0.04, '1792x1024': 0.08, '1024x1792': 0.08 },
+      hd: { '1024x1024': 0.08, '1792x1024': 0.12, '1024x1792': 0.12 }
+    }
+  }
+};
+
+/**
+ * Load the price table, merging PRICING_FILE (same shape as the defaults) over the built-in prices
+ */
+function loadPricing() {
+  const pricing = structuredClone(defaultPricing);
+  const pricingFile = process.env.PRICING_FILE;
+
+  if (pricingFile) {
+    try {
+      const overrides = fs.readJsonSync(pricingFile);
+      for (const [category, models] of Object.entries(overrides)) {
+        pricing[category] = { ...pricing[category], ...models };
+      }
+      console.log(`💲 Loaded pricing overrides from ${pricingFile}`);
+    } catch (error) {
+      console.error(`Failed to load pricing file ${pricingFile}:`, error.message);
+    }
+  }
+
+  return pricing;
+}
+
+export const pricing = loadPricing();
+
+/**
+ * Find the price entry for a model, falling back to the longest matching prefix
+ * (e.g. "gpt-4o-mini-2024-07-18" uses the "gpt-4o-mini" price)
+ */
+export function findPrice(category, model) {
+  const prices = pricing[category] || {};
+  if (!model) {
+    return null;
+  }
+  if (prices[model]) {
+    return prices[model];
+  }
+
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Compute the cost (USD) of a usage entry; returns null when the model has no price
+ */
+export function calculateCost(entry) {
+  switch (entry.type) {
+    case 'chat': {
+      const price = findPrice('chat', entry.model);
+      return price
+        ? ((entry.promptTokens || 0) * price.input + (entry.completionTokens || 0) * price.output) / 1e6
+        : null;
+    }
+    case 'embeddings': {
+      const price = findPrice('embeddings', entry.model);
+      return price ? ((entry.promptTokens || 0) * price.input) / 1e6 : null;
+    }
+    case 'speech': {
+      const price = findPrice('speech', entry.model);
+      return price ? ((entry.characters || 0) * price.perMillionCharacters) / 1e6 : null;
+    }
+    case 'images': {
+      const price = findPrice('images', entry.model)?.[entry.quality || 'standard']?.[entry.size];
+      return price !== undefined ? (entry.images || 0) * price : null;
+    }
+    default:
+      return null;
+  }
+}
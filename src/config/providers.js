@@ -0,0 +1,186 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Parse a comma separated capability list (e.g. "streaming,tools,json_mode")
+ */
+function parseCapabilities(value, defaults) {
+  if (!value) {
+    return defaults;
+  }
+
+  // "json_mode" and "jsonMode" are treated the same
+  const enabled = new Set(value.split(',').map(item => item.trim().toLowerCase().replace(/_/g, '')));
+  return Object.fromEntries(Object.keys(defaults).map(key => [key, enabled.has(key.toLowerCase())]));
+}
+
+// Built-in provider definitions, read from the environment when first used
+const providerDefinitions = {
+  openai: () => ({
+    type: 'openai',
+    baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    defaultModel: process.env.DEFAULT_MODEL,
+    capabilities: {
+      streaming: true,
+      tools: true,
+      jsonMode: true,
+      embeddings: true,
+      audio: true,
+      images: true
+    }
+  }),
+  azure: () => ({
+    type: 'azure',
+    baseURL: process.env.AZURE_OPENAI_ENDPOINT,
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+    // Azure routes requests by deployment name rather than model name
+    defaultModel: process.env.AZURE_OPENAI_DEPLOYMENT,
+    capabilities: parseCapabilities(process.env.AZURE_OPENAI_CAPABILITIES, {
+      streaming: true,
+      tools: true,
+      jsonMode: true,
+      embeddings: true,
+      audio: false,
+      images: false
+    })
+  }),
+  local: () => ({
+    type: 'openai-compatible',
+    // Ollama's default; vLLM and llama.cpp servers usually listen on :8000 / :8080
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+    defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    capabilities: parseCapabilities(process.env.LOCAL_LLM_CAPABILITIES, {
+      streaming: true,
+      tools: false,
+      jsonMode: false,
+      embeddings: false,
+      audio: false,
+      images: false
+    })
+  })
+};
+
+const providers = new Map();
+
+/**
+ * Create the API client for a provider definition
+ */
+function createClient(definition) {
+  if (definition.type === 'azure') {
+    return new AzureOpenAI({
+      endpoint: definition.baseURL,
+      apiKey: definition.apiKey,
+      apiVersion: definition.apiVersion,
+      deployment: definition.defaultModel
+    });
+  }
+
+  return new OpenAI({
+    baseURL: definition.baseURL,
+    apiKey: definition.apiKey || 'dummy-key-for-build'
+  });
+}
+
+/**
+ * Name of the provider used when none is requested (LLM_PROVIDER, defaults to openai)
+ */
+export function getDefaultProviderName() {
+  return (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+}
+
+/**
+ * Register a custom provider (any OpenAI-compatible endpoint)
+ */
+export function registerProvider(name, definition) {
+  if (!name || !definition?.baseURL) {
+    throw new Error('Provider name and baseURL are required');
+  }
+
+  const providerName = name.toLowerCase();
+  providerDefinitions[providerName] = () => ({
+    type: 'openai-compatible',
+    ...definition,
+    capabilities: {
+      streaming: true,
+      tools: false,
+      jsonMode: false,
+      embeddings: false,
+      audio: false,
+      images: false,
+      ...definition.capabilities
+    }
+  });
+  providers.delete(providerName);
+}
+
+/**
+ * Get a provider by name: { name, type, baseURL, defaultModel, capabilities, client }
+ */
+export function getProvider(name) {
+  const providerName = (name || getDefaultProviderName()).toLowerCase();
+
+  if (providers.has(providerName)) {
+    return providers.get(providerName);
+  }
+
+  const definitionFactory = providerDefinitions[providerName];
+  if (!definitionFactory) {
+    throw new Error(`Unknown LLM provider: ${providerName}. Available providers: ${Object.keys(providerDefinitions).join(', ')}`);
+  }
+
+  const definition = definitionFactory();
+  if (definition.type === 'azure' && !definition.baseURL) {
+    throw new Error('Azure OpenAI provider requires AZURE_OPENAI_ENDPOINT to be set');
+  }
+
+  let client;
+  try {
+    client = createClient(definition);
+  } catch (error) {
+    console.error(`Failed to initialize ${providerName} client:`, error);
+    client = null;
+  }
+
+  const provider = {
+    name: providerName,
+    type: definition.type,
+    baseURL: definition.baseURL,
+    defaultModel: definition.defaultModel,
+    capabilities: definition.capabilities,
+    client
+  };
+
+  providers.set(providerName, provider);
+  return provider;
+}
+
+/**
+ * Throw a clear error when a provider lacks a capability a call needs
+ */
+export function requireCapability(provider, capability) {
+  if (!provider.capabilities[capability]) {
+    throw new Error(`LLM provider "${provider.name}" does not support ${capability}`);
+  }
+}
+
+/**
+ * List configured providers and their capabilities (without credentials)
+ */
+export function listProviders() {
+  return Object.keys(providerDefinitions).map(name => {
+    const definition = providerDefinitions[name]();
+    return {
+      name,
+      type: definition.type,
+      baseURL: definition.baseURL || null,
+      defaultModel: definition.defaultModel || null,
+      capabilities: definition.capabilities,
+      isDefault: name === getDefaultProviderName()
+    };
+  });
+}
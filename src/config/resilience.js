@@ -0,0 +1,225 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Retry, timeout and circuit breaker settings for upstream LLM calls
+export const resilienceConfig = {
+  maxRetries: envInt('OPENAI_MAX_RETRIES', 3),
+  baseDelayMs: envInt('OPENAI_RETRY_BASE_DELAY_MS', 500),
+  maxDelayMs: envInt('OPENAI_RETRY_MAX_DELAY_MS', 20000),
+  timeoutMs: envInt('OPENAI_TIMEOUT_MS', 60000),
+  failureThreshold: envInt('CIRCUIT_BREAKER_FAILURE_THRESHOLD', 5),
+  resetTimeoutMs: envInt('CIRCUIT_BREAKER_RESET_MS', 30000)
+};
+
+/**
+ * Error thrown without calling upstream while a circuit breaker is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit breaker "${name}" is open: upstream is unavailable, retry after ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.status = 503;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Circuit breaker: opens after consecutive failures, lets one trial request through after the reset timeout.
+ * Other requests are rejected while the trial is in flight.
+ */
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold ?? resilienceConfig.failureThreshold;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? resilienceConfig.resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.probing = false;
+  }
+
+  /**
+   * Check whether a request may go upstream, moving open -> half_open once the reset timeout has passed.
+   * In half_open only the first caller gets through, as the trial request; it must end with
+   * recordSuccess, recordFailure or releaseProbe.
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+    }
+
+    if (this.state === 'half_open') {
+      if (this.probing) {
+        return false;
+      }
+      this.probing = true;
+    }
+
+    return this.state !== 'open';
+  }
+
+  /**
+   * End a trial request whose outcome says nothing about upstream health, letting the next caller try
+   */
+  releaseProbe() {
+    this.probing = false;
+  }
+
+  recordSuccess() {
+    this.probing = false;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.probing = false;
+    this.failures++;
+    this.lastFailure = {
+      message: error?.message,
+      status: error?.status,
+      at: new Date().toISOString()
+    };
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`⚡ Circuit breaker "${this.name}" opened after ${this.failures} failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Get (or create) the circuit breaker for an upstream, e.g. a provider name
+ */
+export function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Status of every circuit breaker, as reported by /health
+ */
+export function getCircuitBreakerStatus() {
+  return Array.from(breakers.values()).map(breaker => breaker.getStatus());
+}
+
+/**
+ * Rate limits, timeouts, server errors and connection failures are worth retrying
+ */
+function isRetryable(error) {
+  if (error.status) {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+
+  // Connection errors and timeouts from the OpenAI client have no status
+  return ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor?.name)
+    || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code || error.cause?.code);
+}
+
+/**
+ * Delay before the next attempt: Retry-After when the server sends one, else exponential backoff with jitter
+ */
+function getRetryDelay(error, attempt) {
+  const headers = error.headers || {};
+  const retryAfterMs = parseFloat(headers['retry-after-ms']);
+  if (!Number.isNaN(retryAfterMs)) {
+    return Math.min(retryAfterMs, resilienceConfig.maxDelayMs);
+  }
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!Number.isNaN(delay) && delay >= 0) {
+      return Math.min(delay, resilienceConfig.maxDelayMs);
+    }
+  }
+
+  const backoff = Math.min(resilienceConfig.maxDelayMs, resilienceConfig.baseDelayMs * 2 ** attempt);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run an upstream call with retries, a per-request timeout and the named circuit breaker.
+ * `fn` receives request options ({ timeout, maxRetries: 0 }) to pass to the OpenAI client.
+ */
+export async function withResilience(name, fn, options = {}) {
+  const breaker = getCircuitBreaker(name);
+  const maxRetries = options.maxRetries ?? resilienceConfig.maxRetries;
+  const requestOptions = {
+    timeout: options.timeout ?? resilienceConfig.timeoutMs,
+    // Retries are handled here, not by the client
+    maxRetries: 0
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    if (!breaker.canRequest()) {
+      throw new CircuitOpenError(name, breaker.openedAt + breaker.resetTimeoutMs);
+    }
+
+    try {
+      const result = await fn(requestOptions);
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      // Caller cancellations and bad requests say nothing about upstream health
+      if (options.signal?.aborted || !isRetryable(error)) {
+        breaker.releaseProbe();
+        throw error;
+      }
+
+      // Rate limits are retried, but mean upstream is up and busy rather than failing
+      if (error.status === 429) {
+        breaker.releaseProbe();
+      } else {
+        breaker.recordFailure(error);
+      }
+
+      if (attempt >= maxRetries) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      console.warn(`🔁 ${name} request failed (${error.status || error.message}), retrying in ${Math.round(delay)}ms (${attempt + 1}/${maxRetries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Wrap an upstream error with a message prefix while keeping its status and code
+ */
+export function toServiceError(prefix, error) {
+  const serviceError = new Error(`${prefix}: ${error.message}`);
+  serviceError.status = error.status;
+  serviceError.code = error.code;
+  serviceError.cause = error;
+  return serviceError;
+}
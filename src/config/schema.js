@@ -0,0 +1,129 @@
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { compileUserRegex, testUserRegex } from '../search/textSearch.js';
+
+/**
+ * Convert a zod schema to JSON schema (used to describe the expected output to the model)
+ */
+export function toJsonSchema(zodSchema) {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(zodSchema, { target: 'openApi3' });
+  return jsonSchema;
+}
+
+/**
+ * Convert a JSON schema into a zod schema so request-supplied schemas can be validated.
+ * Supports the common subset: object, array, string, number, integer, boolean, null,
+ * enum, const, required, nullable, anyOf/oneOf, descriptions and basic string/number bounds.
+ * A `pattern` is checked like a regex search query (length, nested quantifiers) and matched under
+ * the same time limit; an invalid one throws a TextSearchError (status 400).
+ */
+export function jsonSchemaToZod(schema) {
+  if (!schema || typeof schema !== 'object') {
+    throw new Error('Schema must be a JSON schema object');
+  }
+
+  let result;
+
+  if (schema.enum) {
+    result = schema.enum.every(value => typeof value === 'string') && schema.enum.length > 0
+      ? z.enum(schema.enum)
+      : z.any().refine(value => schema.enum.includes(value), { message: `Must be one of: ${schema.enum.join(', ')}` });
+  } else if ('const' in schema) {
+    result = z.literal(schema.const);
+  } else if (schema.anyOf || schema.oneOf) {
+    const options = (schema.anyOf || schema.oneOf).map(jsonSchemaToZod);
+    result = options.length === 1 ? options[0] : z.union(options);
+  } else if (Array.isArray(schema.type)) {
+    const options = schema.type.map(type => jsonSchemaToZod({ ...schema, type }));
+    result = options.length === 1 ? options[0] : z.union(options);
+  } else {
+    switch (schema.type) {
+      case 'object': {
+        const required = new Set(schema.required || []);
+        const shape = Object.fromEntries(
+          Object.entries(schema.properties || {}).map(([key, propertySchema]) => {
+            const property = jsonSchemaToZod(propertySchema);
+            return [key, required.has(key) ? property : property.optional()];
+          })
+        );
+        const object = z.object(shape);
+        result = schema.additionalProperties === false ? object.strict() : object.passthrough();
+        break;
+      }
+      case 'array': {
+        let array = z.array(schema.items ? jsonSchemaToZod(schema.items) : z.any());
+        if (schema.minItems !== undefined) {
+          array = array.min(schema.minItems);
+        }
+        if (schema.maxItems !== undefined) {
+          array = array.max(schema.maxItems);
+        }
+        result = array;
+        break;
+      }
+      case 'string': {
+        let string = z.string();
+        if (schema.minLength !== undefined) {
+          string = string.min(schema.minLength);
+        }
+        if (schema.maxLength !== undefined) {
+          string = string.max(schema.maxLength);
+        }
+        if (schema.pattern) {
+          const pattern = compileUserRegex(String(schema.pattern));
+          // A match that runs out of time counts as no match
+          string = string.refine(value => {
+            try {
+              return testUserRegex(pattern, value);
+            } catch {
+              return false;
+            }
+          }, { message: `Must match the pattern ${schema.pattern}` });
+        }
+        result = string;
+        break;
+      }
+      case 'number':
+      case 'integer': {
+        let number = schema.type === 'integer' ? z.number().int() : z.number();
+        if (schema.minimum !== undefined) {
+          number = number.min(schema.minimum);
+        }
+        if (schema.maximum !== undefined) {
+          number = number.max(schema.maximum);
+        }
+        result = number;
+        break;
+      }
+      case 'boolean':
+        result = z.boolean();
+        break;
+      case 'null':
+        result = z.null();
+        break;
+      case undefined:
+        result = z.any();
+        break;
+      default:
+        throw new Error(`Unsupported JSON schema type: ${schema.type}`);
+    }
+  }
+
+  if (schema.nullable) {
+    result = result.nullable();
+  }
+  if (schema.description) {
+    result = result.describe(schema.description);
+  }
+
+  return result;
+}
+
+/**
+ * Format zod validation issues as a short, model-readable list
+ */
+export function formatValidationIssues(zodError) {
+  return zodError.issues
+    .map(issue => `- ${issue.path.length > 0 ? issue.path.join('.') : '(root)'}: ${issue.message}`)
+    .join('\n');
+}
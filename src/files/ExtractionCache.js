@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { WriteQueue, writeJsonAtomic } from '../storage/fileWrites.js';
+
+// Bump when extractor output changes so entries written by older extractors are ignored
+const CACHE_VERSION = 3;
+
+/**
+ * SHA-256 of a file's content, streamed so large uploads are not read into memory at once
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Content-addressed cache of extracted text, metadata and AI summaries.
+ * One JSON file per file content hash; the least recently used entries are evicted
+ * once the cache exceeds its size or entry limit. A size limit of 0 disables the cache.
+ */
+export class ExtractionCache {
+  constructor(options = {}) {
+    this.name = 'ExtractionCache';
+    this.dirPath = options.dirPath || process.env.EXTRACTION_CACHE_DIR || './data/extraction-cache';
+    this.maxBytes = (options.maxMB ?? parseFloat(process.env.EXTRACTION_CACHE_MAX_MB ?? 200)) * 1024 * 1024;
+    this.maxEntries = options.maxEntries || parseInt(process.env.EXTRACTION_CACHE_MAX_ENTRIES) || 1000;
+    // hash -> { size, accessed }; entry contents stay on disk
+    this.entries = null;
+    this.hits = 0;
+    this.misses = 0;
+    this.writeQueue = new WriteQueue();
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  entryPath(hash) {
+    return path.join(this.dirPath, `${hash}.json`);
+  }
+
+  /**
+   * Build the entry list from the cache directory on first use; file mtimes record last access
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    const entries = new Map();
+    if (await fs.pathExists(this.dirPath)) {
+      for (const file of await fs.readdir(this.dirPath)) {
+        if (!file.endsWith('.json')) {
+          continue;
+        }
+        const stats = await fs.stat(path.join(this.dirPath, file));
+        entries.set(path.basename(file, '.json'), { size: stats.size, accessed: stats.mtimeMs });
+      }
+    }
+
+    this.entries ??= entries;
+    return this.entries;
+  }
+
+  /**
+   * Read an entry and mark it as recently used
+   */
+  async read(hash) {
+    const entries = await this.load();
+    if (!entries.has(hash)) {
+      return null;
+    }
+
+    try {
+      const entry = await fs.readJson(this.entryPath(hash));
+      if (entry.version !== CACHE_VERSION) {
+        return null;
+      }
+
+      const now = new Date();
+      entries.get(hash).accessed = now.getTime();
+      await fs.utimes(this.entryPath(hash), now, now);
+      return entry;
+    } catch {
+      // A missing or corrupt entry is just a miss
+      entries.delete(hash);
+      return null;
+    }
+  }
+
+  /**
+   * Update an entry in place (see writeJsonAtomic), serialized so concurrent writers don't drop each other's changes
+   */
+  async update(hash, updateEntry) {
+    return this.writeQueue.run(async () => {
+      const entries = await this.load();
+      const entry = await this.read(hash) || {
+        version: CACHE_VERSION,
+        hash,
+        extractions: {},
+        analyses: {},
+        created: new Date().toISOString()
+      };
+      updateEntry(entry);
+
+      const size = Buffer.byteLength(JSON.stringify(entry));
+      if (size > this.maxBytes) {
+        return;
+      }
+
+      await writeJsonAtomic(this.entryPath(hash), entry);
+      entries.set(hash, { size, accessed: Date.now() });
+
+      await this.evict(hash);
+    }).catch(error => {
+      console.warn(`⚠️ Extraction cache write failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Remove least recently used entries until the cache is within its limits, keeping `keepHash`
+   */
+  async evict(keepHash) {
+    const entries = await this.load();
+    let totalBytes = [...entries.values()].reduce((total, entry) => total + entry.size, 0);
+    const oldestFirst = [...entries.entries()]
+      .filter(([hash]) => hash !== keepHash)
+      .sort(([, a], [, b]) => a.accessed - b.accessed);
+
+    let evicted = 0;
+    for (const [hash, entry] of oldestFirst) {
+      if (totalBytes <= this.maxBytes && entries.size <= this.maxEntries) {
+        break;
+      }
+      await fs.remove(this.entryPath(hash));
+      entries.delete(hash);
+      totalBytes -= entry.size;
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      console.log(`🧹 Evicted ${evicted} extraction cache entr${evicted === 1 ? 'y' : 'ies'}`);
+    }
+  }
+
+  /**
+   * Cached extraction ({ content, metadata, pages }) of a file's content; `key` names the extension and extractor
+   */
+  async getExtraction(hash, key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const extraction = (await this.read(hash))?.extractions[key] || null;
+    if (extraction) {
+      this.hits++;
+    } else {
+      this.misses++;
+    }
+    return extraction;
+  }
+
+  async setExtraction(hash, key, extraction) {
+    if (!this.enabled) {
+      return;
+    }
+    await this.update(hash, entry => {
+      entry.extractions[key] = extraction;
+    });
+  }
+
+  /**
+   * Cached AI analysis of a file's content; `key` names what the analysis depends on (format, model)
+   */
+  async getAnalysis(hash, key) {
+    if (!this.enabled) {
+      return null;
+    }
+    return (await this.read(hash))?.analyses[key] || null;
+  }
+
+  async setAnalysis(hash, key, analysis) {
+    if (!this.enabled) {
+      return;
+    }
+    await this.update(hash, entry => {
+      entry.analyses[key] = analysis;
+    });
+  }
+
+  /**
+   * Remove one file's entry (its extractions and analyses)
+   */
+  async delete(hash) {
+    return this.writeQueue.run(async () => {
+      const entries = await this.load();
+      await fs.remove(this.entryPath(hash));
+      return entries.delete(hash);
+    });
+  }
+
+  async clear() {
+    return this.writeQueue.run(async () => {
+      await fs.remove(this.dirPath);
+      this.entries = new Map();
+    });
+  }
+
+  async getStats() {
+    const entries = await this.load();
+    return {
+      enabled: this.enabled,
+      entries: entries.size,
+      bytes: [...entries.values()].reduce((total, entry) => total + entry.size, 0),
+      maxBytes: this.maxBytes,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+// Shared cache used by the file search agent
+export const extractionCache = new ExtractionCache();
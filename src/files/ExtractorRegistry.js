@@ -0,0 +1,68 @@
+/**
+ * ".PDF" and "pdf" both become ".pdf"
+ */
+function normalizeExtension(extension) {
+  const lower = String(extension || '').toLowerCase();
+  return lower.startsWith('.') ? lower : `.${lower}`;
+}
+
+/**
+ * Maps file extensions to content extractors. An extractor is
+ * { name, extract(filePath, extension) => { content, metadata, pages? }, formats? },
+ * where `formats` lists the content formats (from detectFileType) its files may have;
+ * without it uploads are not checked against their content.
+ */
+export class ExtractorRegistry {
+  constructor() {
+    this.extractors = new Map();
+  }
+
+  /**
+   * Register an extractor for one or more extensions, replacing any existing extractor for them
+   */
+  register(extensions, extractor) {
+    if (!extractor?.name || typeof extractor.extract !== 'function') {
+      throw new Error('An extractor needs a name and an extract(filePath, extension) function');
+    }
+
+    for (const extension of [].concat(extensions)) {
+      this.extractors.set(normalizeExtension(extension), extractor);
+    }
+    return this;
+  }
+
+  unregister(extension) {
+    return this.extractors.delete(normalizeExtension(extension));
+  }
+
+  get(extension) {
+    return this.extractors.get(normalizeExtension(extension)) || null;
+  }
+
+  has(extension) {
+    return this.extractors.has(normalizeExtension(extension));
+  }
+
+  extensions() {
+    return [...this.extractors.keys()];
+  }
+
+  /**
+   * Registered extractors with the extensions each one handles
+   */
+  list() {
+    const byExtractor = new Map();
+    for (const [extension, extractor] of this.extractors) {
+      if (!byExtractor.has(extractor)) {
+        byExtractor.set(extractor, []);
+      }
+      byExtractor.get(extractor).push(extension);
+    }
+
+    return [...byExtractor].map(([extractor, extensions]) => ({
+      name: extractor.name,
+      extensions,
+      formats: extractor.formats || null
+    }));
+  }
+}
@@ -0,0 +1,208 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { extractionCache } from './ExtractionCache.js';
+import { vectorIndex } from '../search/VectorIndex.js';
+import { WriteQueue, writeJsonAtomic } from '../storage/fileWrites.js';
+
+/**
+ * A TTL outside the allowed range
+ */
+export class UploadTtlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UploadTtlError';
+    this.status = 400;
+    this.code = 'INVALID_UPLOAD_TTL';
+  }
+}
+
+/**
+ * Uploaded files by opaque ID, each with an expiry time. Records are persisted to a JSON file;
+ * `purgeExpired` deletes expired uploads from disk together with their cached extractions, their
+ * vector index entries and, when given, their `documentChat` conversations and `collections` entries.
+ *
+ * Options (defaults from the environment):
+ * - filePath: UPLOAD_REGISTRY_PATH, default ./data/uploads.json
+ * - ttlHours: UPLOAD_TTL_HOURS, how long uploads are kept unless a TTL is given, default 24
+ * - maxTtlHours: UPLOAD_MAX_TTL_HOURS, the longest TTL a client may ask for, default 168 (a week)
+ */
+export class UploadRegistry {
+  constructor(options = {}) {
+    this.name = 'UploadRegistry';
+    this.filePath = options.filePath || process.env.UPLOAD_REGISTRY_PATH || './data/uploads.json';
+    this.ttlHours = options.ttlHours || parseFloat(process.env.UPLOAD_TTL_HOURS) || 24;
+    this.maxTtlHours = options.maxTtlHours || parseFloat(process.env.UPLOAD_MAX_TTL_HOURS) || 168;
+    this.cache = options.cache || extractionCache;
+    this.vectorIndex = options.vectorIndex || vectorIndex;
+    this.documentChat = options.documentChat || null;
+    this.collections = options.collections || null;
+    this.files = null;
+    this.writeQueue = new WriteQueue();
+  }
+
+  /**
+   * Load upload records from disk on first use
+   */
+  async load() {
+    if (!this.files) {
+      this.files = await fs.pathExists(this.filePath)
+        ? (await fs.readJson(this.filePath)).files || {}
+        : {};
+    }
+    return this.files;
+  }
+
+  /**
+   * Persist upload records (see writeJsonAtomic)
+   */
+  async persist() {
+    return this.writeQueue.run(() => writeJsonAtomic(this.filePath, { files: this.files }, { spaces: 2 }));
+  }
+
+  /**
+   * TTL in hours for an upload: the default when none is given, otherwise a positive number up to the maximum
+   */
+  resolveTtl(ttlHours) {
+    if (ttlHours === undefined || ttlHours === null || ttlHours === '') {
+      return this.ttlHours;
+    }
+    const hours = Number(ttlHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > this.maxTtlHours) {
+      throw new UploadTtlError(`ttlHours must be a number greater than 0 and at most ${this.maxTtlHours}`);
+    }
+    return hours;
+  }
+
+  isExpired(file, now = Date.now()) {
+    return new Date(file.expiresAt).getTime() <= now;
+  }
+
+  /**
+   * Public view of an upload record; the server path stays internal
+   */
+  describeFile(file) {
+    const { path: _path, hash: _hash, ...description } = file;
+    return description;
+  }
+
+  /**
+   * Record an uploaded file. file: { path, name, size, mimetype, format, hash }
+   */
+  async register(file, options = {}) {
+    const ttlHours = this.resolveTtl(options.ttlHours);
+    const files = await this.load();
+    const now = Date.now();
+
+    const record = {
+      id: uuidv4(),
+      name: file.name,
+      path: file.path,
+      size: file.size,
+      mimetype: file.mimetype,
+      format: file.format,
+      hash: file.hash,
+      ttlHours,
+      created: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlHours * 3600 * 1000).toISOString()
+    };
+
+    files[record.id] = record;
+    await this.persist();
+    console.log(`🗂️ Registered upload ${record.name} (${record.id}), expires ${record.expiresAt}`);
+
+    return record;
+  }
+
+  /**
+   * Unexpired uploads, newest first
+   */
+  async listFiles() {
+    const now = Date.now();
+    const files = Object.values(await this.load())
+      .filter(file => !this.isExpired(file, now))
+      .sort((a, b) => b.created.localeCompare(a.created))
+      .map(file => this.describeFile(file));
+
+    return {
+      success: true,
+      files,
+      total: files.length
+    };
+  }
+
+  /**
+   * The full record of an unexpired upload (with its path), or null
+   */
+  async resolve(fileId) {
+    const file = (await this.load())[fileId];
+    return file && !this.isExpired(file) ? file : null;
+  }
+
+  async getFile(fileId) {
+    const file = await this.resolve(fileId);
+    if (!file) {
+      return { success: false, error: 'File not found' };
+    }
+    return { success: true, file: this.describeFile(file) };
+  }
+
+  /**
+   * Delete an upload: the file, its record, its chat conversation, its collection entries, and its cached
+   * extraction and index entries unless another upload has the same content
+   */
+  async deleteFile(fileId) {
+    const files = await this.load();
+    const file = files[fileId];
+    if (!file) {
+      return { success: false, error: 'File not found' };
+    }
+
+    await this.removeUploads([file]);
+    return {
+      success: true,
+      message: `File ${fileId} deleted successfully`
+    };
+  }
+
+  /**
+   * Delete every upload whose TTL has passed
+   */
+  async purgeExpired(now = Date.now()) {
+    const expired = Object.values(await this.load()).filter(file => this.isExpired(file, now));
+    if (expired.length > 0) {
+      await this.removeUploads(expired);
+      console.log(`🧹 Purged ${expired.length} expired upload(s)`);
+    }
+
+    return {
+      success: true,
+      purged: expired.map(file => file.id),
+      total: expired.length
+    };
+  }
+
+  async removeUploads(uploads) {
+    const files = await this.load();
+    for (const file of uploads) {
+      delete files[file.id];
+    }
+    await this.persist();
+    await this.collections?.removeUploads(uploads);
+
+    const remainingHashes = new Set(Object.values(files).map(file => file.hash));
+    for (const file of uploads) {
+      // Chats are keyed by the path they were started with: the upload's own, or the resolved one
+      const realPath = await fs.realpath(file.path).catch(() => path.resolve(file.path));
+      this.documentChat?.forget(file.path);
+      this.documentChat?.forget(realPath);
+      await fs.remove(file.path);
+
+      // Cache and index entries are keyed by content, so ones shared with another upload are kept
+      if (file.hash && !remainingHashes.has(file.hash)) {
+        await this.cache.delete(file.hash);
+        await this.vectorIndex.deleteFileDocuments(file.hash);
+      }
+    }
+  }
+}
@@ -0,0 +1,356 @@
+import { z } from 'zod';
+import { tokenize } from '../search/keyword.js';
+import { pageAt } from '../search/pages.js';
+import { lineLocator } from './entities.js';
+
+// Sections whose words overlap at least this much (Jaccard) are treated as two versions of the same section
+const SECTION_SIMILARITY = 0.5;
+// Largest grid (items in A × items in B) aligned exactly; bigger lists are treated as entirely replaced
+const MAX_DIFF_CELLS = 4_000_000;
+// Largest section grid paired by content similarity; bigger documents pair sections by title or identical text only
+const MAX_SIMILARITY_CELLS = 40_000;
+
+const MARKDOWN_HEADING = /^#{1,6}\s+/;
+// Clause numbering in front of a title: "4.2", "IV.", "B.", "Section 3:", "Article IV"
+const NUMBERING = /^(?:(?:section|article|clause|schedule|part|chapter)\s+[\dIVXLC]+[.:]?|\d+(?:\.\d+)*\.?|[IVXLC]+\.|[A-Z]\.)\s+/i;
+const SENTENCE = /\S[\s\S]*?(?:[.!?]+["')\]]*(?=\s|$)|(?=\n\s*\n)|$)/g;
+
+/**
+ * Model summary of a comparison; changes cite the ids of the diff changes they describe
+ */
+export const ComparisonSummarySchema = z.object({
+  overview: z.string().describe('Two or three sentences on how the second version differs from the first'),
+  changes: z.array(z.object({
+    description: z.string().describe('What changed and its practical effect, e.g. "Payment term extended from 30 to 45 days"'),
+    significance: z.enum(['material', 'minor']).describe('material: changes rights, obligations, amounts, dates or scope; minor: wording, formatting or numbering'),
+    changeIds: z.array(z.number().int()).describe('Ids (#N) of the diff changes this describes')
+  }))
+});
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * A line that starts a section: a Markdown heading, a numbered clause title ("4.2 Termination",
+ * "Article IV"), or a short line in capitals. Short lines only, so numbered list items don't count.
+ */
+export function isHeading(line) {
+  const text = line.trim();
+  if (!text || text.length > 80 || /[,;:]$/.test(text)) {
+    return false;
+  }
+  if (MARKDOWN_HEADING.test(text)) {
+    return true;
+  }
+  // Sentences end in punctuation; headings rarely do
+  if (/[.!?]$/.test(text)) {
+    return false;
+  }
+  if (NUMBERING.test(text) && text.length <= 60) {
+    return true;
+  }
+  const letters = text.replace(/[^\p{L}]/gu, '');
+  return letters.length >= 3 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+}
+
+/**
+ * Title used to pair sections across versions: lowercase, without numbering, so a renumbered clause still pairs up
+ */
+function sectionKey(title) {
+  return title ? title.replace(NUMBERING, '').toLowerCase() : null;
+}
+
+/**
+ * Split a document into sections at heading lines. Text before the first heading is an untitled section.
+ * Returns [{ title, key, start, bodyStart, end, text }] with offsets into the content; `text` excludes the heading.
+ */
+export function splitSections(content) {
+  const sections = [];
+  let current = { title: null, start: 0, bodyStart: 0 };
+  let offset = 0;
+
+  for (const line of content.split('\n')) {
+    if (isHeading(line)) {
+      sections.push({ ...current, end: offset });
+      current = { title: normalizeText(line.replace(MARKDOWN_HEADING, '')), start: offset, bodyStart: offset + line.length + 1 };
+    }
+    offset += line.length + 1;
+  }
+  sections.push({ ...current, end: content.length });
+
+  return sections
+    .map(section => ({
+      ...section,
+      bodyStart: Math.min(section.bodyStart, section.end),
+      key: sectionKey(section.title),
+      text: content.slice(Math.min(section.bodyStart, section.end), section.end)
+    }))
+    .filter(section => section.title !== null || normalizeText(section.text));
+}
+
+function similarity(a, b) {
+  if (a.key && a.key === b.key) {
+    return 1;
+  }
+  if (a.tokens.size === 0 && b.tokens.size === 0) {
+    return 1;
+  }
+  const shared = [...a.tokens].filter(token => b.tokens.has(token)).length;
+  return shared / (a.tokens.size + b.tokens.size - shared);
+}
+
+/**
+ * Longest common subsequence alignment of two lists. Returns [{ a, b }] pairs of indexes in order,
+ * with `a` or `b` null for items only in one list. Matching leading and trailing items are paired
+ * without the grid; a middle too large to align (MAX_DIFF_CELLS) counts as all of A removed and all of B added.
+ */
+function align(listA, listB, matches) {
+  let head = 0;
+  while (head < listA.length && head < listB.length && matches(listA[head], listB[head])) {
+    head++;
+  }
+  let tail = 0;
+  while (tail < listA.length - head && tail < listB.length - head
+    && matches(listA[listA.length - 1 - tail], listB[listB.length - 1 - tail])) {
+    tail++;
+  }
+
+  const rows = listA.length - head - tail;
+  const cols = listB.length - head - tail;
+  const pairs = Array.from({ length: head }, (_, k) => ({ a: k, b: k }));
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    for (let k = 0; k < rows; k++) {
+      pairs.push({ a: head + k, b: null });
+    }
+    for (let k = 0; k < cols; k++) {
+      pairs.push({ a: null, b: head + k });
+    }
+  } else {
+    const itemA = i => listA[head + i];
+    const itemB = j => listB[head + j];
+    const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i][j] = matches(itemA(i), itemB(j))
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (matches(itemA(i), itemB(j))) {
+        pairs.push({ a: head + i++, b: head + j++ });
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        pairs.push({ a: head + i++, b: null });
+      } else {
+        pairs.push({ a: null, b: head + j++ });
+      }
+    }
+    while (i < rows) {
+      pairs.push({ a: head + i++, b: null });
+    }
+    while (j < cols) {
+      pairs.push({ a: null, b: head + j++ });
+    }
+  }
+
+  for (let k = tail; k > 0; k--) {
+    pairs.push({ a: listA.length - k, b: listB.length - k });
+  }
+  return pairs;
+}
+
+function splitSentences(section) {
+  return Array.from(section.text.matchAll(SENTENCE), match => ({
+    text: match[0],
+    normalized: normalizeText(match[0]),
+    start: section.bodyStart + match.index,
+    end: section.bodyStart + match.index + match[0].length
+  })).filter(sentence => sentence.normalized);
+}
+
+/**
+ * Sentence-level differences between two versions of a section, as hunks of removed and added sentences
+ */
+function diffSentences(sectionA, sectionB) {
+  const sentencesA = splitSentences(sectionA);
+  const sentencesB = splitSentences(sectionB);
+
+  // Identical leading and trailing sentences don't need the alignment grid
+  let head = 0;
+  while (head < sentencesA.length && head < sentencesB.length && sentencesA[head].normalized === sentencesB[head].normalized) {
+    head++;
+  }
+  let tail = 0;
+  while (tail < sentencesA.length - head && tail < sentencesB.length - head
+    && sentencesA[sentencesA.length - 1 - tail].normalized === sentencesB[sentencesB.length - 1 - tail].normalized) {
+    tail++;
+  }
+
+  const middleA = sentencesA.slice(head, sentencesA.length - tail);
+  const middleB = sentencesB.slice(head, sentencesB.length - tail);
+  const pairs = align(middleA, middleB, (a, b) => a.normalized === b.normalized);
+
+  const hunks = [];
+  let hunk = null;
+  // Where the next insertion lands in each document
+  let nextA = middleA[0]?.start ?? sentencesA[sentencesA.length - tail]?.start ?? sectionA.end;
+  let nextB = middleB[0]?.start ?? sentencesB[sentencesB.length - tail]?.start ?? sectionB.end;
+
+  for (const pair of pairs) {
+    if (pair.a !== null && pair.b !== null) {
+      hunk = null;
+      nextA = middleA[pair.a].end;
+      nextB = middleB[pair.b].end;
+      continue;
+    }
+    if (!hunk) {
+      hunk = { removed: [], added: [], startA: nextA, startB: nextB };
+      hunks.push(hunk);
+    }
+    if (pair.a !== null) {
+      if (hunk.removed.length === 0) {
+        hunk.startA = middleA[pair.a].start;
+      }
+      hunk.removed.push(middleA[pair.a].normalized);
+    } else {
+      if (hunk.added.length === 0) {
+        hunk.startB = middleB[pair.b].start;
+      }
+      hunk.added.push(middleB[pair.b].normalized);
+    }
+  }
+
+  return hunks;
+}
+
+function location(document, section, offset) {
+  if (!section) {
+    return null;
+  }
+  const page = pageAt(document.pages, offset);
+  return {
+    section: section.title,
+    line: document.lineAt(offset),
+    ...(page && { page }),
+    offset
+  };
+}
+
+/**
+ * Compare two documents ({ content, pages? }): sections are paired by title or content, and paired
+ * sections are diffed sentence by sentence. Every change carries its location (section, line, page)
+ * in both documents; for additions and removals the location in the other document is where the
+ * text would have been.
+ */
+export function diffDocuments(originalA, originalB) {
+  const documentA = { ...originalA, lineAt: lineLocator(originalA.content) };
+  const documentB = { ...originalB, lineAt: lineLocator(originalB.content) };
+  const sectionsA = splitSections(documentA.content);
+  const sectionsB = splitSections(documentB.content);
+
+  let pairs;
+  if (sectionsA.length * sectionsB.length <= MAX_SIMILARITY_CELLS) {
+    const withTokens = section => ({ ...section, tokens: new Set(tokenize(section.text)) });
+    pairs = align(sectionsA.map(withTokens), sectionsB.map(withTokens), (a, b) => similarity(a, b) >= SECTION_SIMILARITY);
+  } else {
+    // Too many sections to compare every pair's words: pair by title or identical text
+    const withSignature = section => ({ ...section, signature: normalizeText(section.text) });
+    pairs = align(sectionsA.map(withSignature), sectionsB.map(withSignature), (a, b) => (a.key !== null && a.key === b.key) || a.signature === b.signature);
+  }
+
+  const sections = [];
+  const changes = [];
+  // The section each unpaired section's counterpart location falls in
+  let lastA = null;
+  let lastB = null;
+
+  for (const pair of pairs) {
+    const sectionA = pair.a === null ? null : sectionsA[pair.a];
+    const sectionB = pair.b === null ? null : sectionsB[pair.b];
+    const anchorA = sectionA || lastA;
+    const anchorB = sectionB || lastB;
+    const ids = [];
+
+    const addChange = (type, before, after, offsetA, offsetB) => {
+      const id = changes.length + 1;
+      ids.push(id);
+      changes.push({
+        id,
+        type,
+        section: sectionB?.title ?? sectionA?.title ?? null,
+        before,
+        after,
+        locations: {
+          a: location(documentA, anchorA, offsetA),
+          b: location(documentB, anchorB, offsetB)
+        }
+      });
+    };
+
+    if (sectionA && sectionB) {
+      if (sectionA.title !== sectionB.title) {
+        addChange('modified', sectionA.title, sectionB.title, sectionA.start, sectionB.start);
+      }
+      for (const hunk of diffSentences(sectionA, sectionB)) {
+        const type = hunk.removed.length === 0 ? 'added' : hunk.added.length === 0 ? 'removed' : 'modified';
+        addChange(type, hunk.removed.join(' ') || null, hunk.added.join(' ') || null, hunk.startA, hunk.startB);
+      }
+    } else if (sectionA) {
+      addChange('removed', normalizeText(`${sectionA.title ?? ''}\n${sectionA.text}`), null, sectionA.start, anchorB ? Math.max(anchorB.start, anchorB.end - 1) : 0);
+    } else {
+      addChange('added', null, normalizeText(`${sectionB.title ?? ''}\n${sectionB.text}`), anchorA ? Math.max(anchorA.start, anchorA.end - 1) : 0, sectionB.start);
+    }
+
+    sections.push({
+      title: sectionB?.title ?? sectionA?.title ?? null,
+      status: !sectionA ? 'added' : !sectionB ? 'removed' : ids.length > 0 ? 'modified' : 'unchanged',
+      a: sectionA && location(documentA, sectionA, sectionA.start),
+      b: sectionB && location(documentB, sectionB, sectionB.start),
+      changes: ids
+    });
+
+    lastA = sectionA || lastA;
+    lastB = sectionB || lastB;
+  }
+
+  const count = status => sections.filter(section => section.status === status).length;
+  return {
+    identical: changes.length === 0,
+    stats: {
+      sections: { a: sectionsA.length, b: sectionsB.length },
+      unchanged: count('unchanged'),
+      modified: count('modified'),
+      added: count('added'),
+      removed: count('removed'),
+      changes: changes.length
+    },
+    sections,
+    changes
+  };
+}
+
+function describeLocation(location) {
+  if (!location) {
+    return '-';
+  }
+  return [location.section && `"${location.section}"`, location.page && `p. ${location.page}`, `line ${location.line}`]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Plain text rendering of the changes, one hunk per change in the style of a unified diff
+ */
+export function formatDiff(changes, names = { a: 'A', b: 'B' }) {
+  return changes.map(change => [
+    `@@ #${change.id} ${change.type}: ${names.a} ${describeLocation(change.locations.a)} | ${names.b} ${describeLocation(change.locations.b)} @@`,
+    ...(change.before ? [`- ${change.before}`] : []),
+    ...(change.after ? [`+ ${change.after}`] : [])
+  ].join('\n')).join('\n\n');
+}
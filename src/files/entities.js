@@ -0,0 +1,267 @@
+import { z } from 'zod';
+import { EMAIL_PATTERN, PHONE_PATTERN } from './redaction.js';
+import { parseNumber } from './tables.js';
+import { escapeRegExp } from '../search/textSearch.js';
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+const MONTH_NAME = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+
+const CURRENCY_SYMBOLS = { 'US$': 'USD', 'A$': 'AUD', 'C$': 'CAD', $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'INR', 'CNY', 'SEK', 'NOK', 'DKK', 'PLN'];
+const AMOUNT = '\\d{1,3}(?:[,.\\s]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?';
+const SYMBOL = '(?:US\\$|A\\$|C\\$|[$€£¥₹])';
+const CODE = `(?:${CURRENCY_CODES.join('|')})`;
+const MULTIPLIERS = { thousand: 1e3, million: 1e6, billion: 1e9, bn: 1e9 };
+
+/**
+ * Data types found with patterns, in priority order: text claimed by an earlier type is not matched
+ * again by a later one (the digits of a date or phone number are not also numbers)
+ */
+const PATTERN_TYPES = {
+  emails: [
+    { pattern: EMAIL_PATTERN, normalize: match => match[0].toLowerCase() }
+  ],
+  urls: [
+    { pattern: /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/g, normalize: normalizeUrl }
+  ],
+  currencies: [
+    {
+      pattern: new RegExp(`(${SYMBOL}|\\b${CODE})\\s?(-?(?:${AMOUNT}))(?:\\s?(thousand|million|billion|bn)\\b)?`, 'gi'),
+      normalize: (match, options) => currencyAmount(match[2], match[3], currencyCode(match[1], options))
+    },
+    {
+      pattern: new RegExp(`(?<![\\d.,])(-?(?:${AMOUNT}))(?:\\s?(thousand|million|billion|bn))?\\s?(${SYMBOL}|${CODE}\\b)`, 'gi'),
+      normalize: (match, options) => currencyAmount(match[1], match[2], currencyCode(match[3], options))
+    }
+  ],
+  dates: [
+    {
+      pattern: /\b(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?\b/g,
+      normalize: match => isoDate(match[1], match[2], match[3])
+    },
+    {
+      pattern: /\b(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})\b/g,
+      // Dotted dates are day first (31.12.2024); slashes and dashes are month first unless `dayFirst` or the first part can't be a month
+      normalize: (match, options) => {
+        const dayFirst = match[2] === '.' || options.dayFirst || Number(match[1]) > 12;
+        return dayFirst ? isoDate(match[4], match[3], match[1]) : isoDate(match[4], match[1], match[3]);
+      }
+    },
+    {
+      pattern: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'),
+      normalize: match => isoDate(match[3], monthNumber(match[1]), match[2])
+    },
+    {
+      pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME},?\\s+(\\d{4})\\b`, 'gi'),
+      normalize: match => isoDate(match[3], monthNumber(match[2]), match[1])
+    }
+  ],
+  phones: [
+    { pattern: PHONE_PATTERN, normalize: (match, options) => e164(match[0], options) }
+  ],
+  numbers: [
+    {
+      pattern: /(?<![\w.,])[-+]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?%?(?![\w]|[.,]\d)/g,
+      normalize: match => parseNumber(match[0]) ?? Number(match[0].replace(/[,%]/g, ''))
+    }
+  ]
+};
+
+export const PATTERN_DATA_TYPES = Object.keys(PATTERN_TYPES);
+// Named entities found by the model rather than by patterns
+export const ENTITY_DATA_TYPES = ['people', 'organizations', 'addresses'];
+export const DATA_TYPES = [...PATTERN_DATA_TYPES, ...ENTITY_DATA_TYPES];
+
+/**
+ * Named entities the model reports for a passage of text
+ */
+export const EntityExtractionSchema = z.object({
+  entities: z.array(z.object({
+    type: z.enum(['person', 'organization', 'address']),
+    text: z.string().describe('The entity exactly as written in the text'),
+    normalized: z.string().optional().describe('Full canonical form: a person\'s full name, an organization\'s full legal name, an address on one line')
+  }))
+});
+
+function monthNumber(name) {
+  return MONTHS[name.toLowerCase().replace('.', '').slice(0, name.toLowerCase().startsWith('sept') ? 4 : 3)];
+}
+
+/**
+ * YYYY-MM-DD, or null for dates that don't exist (2024-02-30); two-digit years are 2000-2049 or 1950-1999
+ */
+export function isoDate(year, month, day) {
+  let y = Number(year);
+  if (String(year).length === 2) {
+    y += y < 50 ? 2000 : 1900;
+  }
+  const m = Number(month);
+  const d = Number(day);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * E.164 form of a phone number (+14155550123). Numbers without a country code get `defaultCountryCode`,
+ * dropping a national trunk 0 (020 7946 0958 -> +44 20 7946 0958 for country code 44).
+ */
+export function e164(phone, options = {}) {
+  const { defaultCountryCode = '1' } = options;
+  const text = phone.trim();
+  let digits = text.replace(/\D/g, '');
+
+  if (text.startsWith('+')) {
+    // Numbers like +44 (0)20 ... keep the (0) only as a formatting hint
+    digits = text.replace(/\(0\)/, '').replace(/\D/g, '');
+  } else if (text.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (defaultCountryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+    // Already has the North American country code
+  } else {
+    digits = `${defaultCountryCode}${digits.replace(/^0/, '')}`;
+  }
+
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+function currencyCode(marker, options = {}) {
+  const upper = marker.toUpperCase();
+  if (CURRENCY_CODES.includes(upper)) {
+    return upper;
+  }
+  // "$" is US dollars unless the caller says otherwise
+  return marker === '$' && options.defaultCurrency ? options.defaultCurrency : CURRENCY_SYMBOLS[upper] || CURRENCY_SYMBOLS[marker];
+}
+
+/**
+ * Amount written with either decimal convention: 1,200.50 or 1.200,50 (and 1 200,50)
+ */
+export function parseAmount(text) {
+  const value = text.replace(/\s/g, '');
+  const decimalComma = /^-?\d{1,3}(\.\d{3})+(,\d{1,2})?$/.test(value) || /^-?\d+,\d{1,2}$/.test(value);
+  const number = decimalComma
+    ? parseFloat(value.replace(/\./g, '').replace(',', '.'))
+    : parseFloat(value.replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function currencyAmount(amountText, multiplier, currency) {
+  const amount = parseAmount(amountText);
+  if (amount === null || !currency) {
+    return null;
+  }
+  return {
+    amount: multiplier ? Math.round(amount * MULTIPLIERS[multiplier.toLowerCase()] * 100) / 100 : amount,
+    currency
+  };
+}
+
+function normalizeUrl(match) {
+  const url = match[0];
+  try {
+    return new URL(url.startsWith('www.') ? `https://${url}` : url).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Trailing sentence punctuation and an unbalanced closing bracket are not part of a URL
+ */
+function trimUrl(text) {
+  let url = text.replace(/[.,;:!?'"]+$/, '');
+  if (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+    url = url.slice(0, -1);
+  }
+  return url;
+}
+
+/**
+ * Find pattern data types in text. Returns { [type]: [{ text, normalized, start, end }] } for the requested
+ * types; matches whose value can't be normalized (an impossible date) are left out.
+ *
+ * Options: dayFirst (for 01/02/2024), defaultCountryCode (for phones without one, default "1"),
+ * defaultCurrency (for "$", default USD)
+ */
+export function findDataMatches(content, types = PATTERN_DATA_TYPES, options = {}) {
+  const claimed = new Uint8Array(content.length);
+  const results = {};
+
+  for (const [type, patterns] of Object.entries(PATTERN_TYPES)) {
+    const found = [];
+    for (const { pattern, normalize } of patterns) {
+      for (const match of content.matchAll(pattern)) {
+        const text = type === 'urls' ? trimUrl(match[0]) : match[0].trim();
+        const start = match.index + match[0].indexOf(text);
+        const end = start + text.length;
+        if (!text || claimed.subarray(start, end).some(Boolean)) {
+          continue;
+        }
+
+        // Claimed even when it can't be normalized, so an impossible date isn't reported as three numbers
+        claimed.fill(1, start, end);
+        const normalized = normalize(type === 'urls' ? [text] : match, options);
+        if (normalized === null || Number.isNaN(normalized)) {
+          continue;
+        }
+        found.push({ text, normalized, start, end });
+      }
+    }
+    if (types.includes(type)) {
+      results[type] = found.sort((a, b) => a.start - b.start);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Every occurrence of an entity's text, ignoring case and differences in spacing or line breaks
+ */
+export function locateText(content, text, maxOccurrences = 50) {
+  const words = text.trim().split(/\s+/).filter(Boolean).map(escapeRegExp);
+  if (words.length === 0) {
+    return [];
+  }
+
+  const pattern = new RegExp(words.join('\\s+'), 'giu');
+  const occurrences = [];
+  for (const match of content.matchAll(pattern)) {
+    occurrences.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    if (occurrences.length >= maxOccurrences) {
+      break;
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Line number (1-based) of a character offset, found by binary search over the line starts
+ */
+export function lineLocator(content) {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content.charCodeAt(i) === 10) {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  return offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low + 1;
+  };
+}
@@ -0,0 +1,85 @@
+import fs from 'fs-extra';
+import path from 'path';
+import JSZip from 'jszip';
+import * as cheerio from 'cheerio';
+import { UnsupportedFileError } from '../fileTypes.js';
+
+// Limits that stop a ZIP bomb (a small file that expands enormously) before it fills memory
+const MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 10000;
+const MAX_UNCOMPRESSED_BYTES = (parseFloat(process.env.ARCHIVE_MAX_UNCOMPRESSED_MB) || 200) * 1024 * 1024;
+const BOMB_HINT = 'The file expands to more than the server reads from a document. Split it into smaller files, or remove embedded media, and upload it again.';
+
+// Bytes each open ZIP may still expand to
+const remainingBytes = new WeakMap();
+
+/**
+ * Open a ZIP-based document (PPTX, EPUB, ODT), rejecting archives with too many entries or
+ * whose entries declare more than the uncompressed size limit
+ */
+export async function loadZip(filePath) {
+  const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+  const entries = Object.values(zip.files);
+  if (entries.length > MAX_ENTRIES) {
+    throw new UnsupportedFileError(`Archive has too many entries (${entries.length}, max ${MAX_ENTRIES})`, BOMB_HINT);
+  }
+
+  const declaredBytes = entries.reduce((total, entry) => total + (entry._data?.uncompressedSize || 0), 0);
+  if (declaredBytes > MAX_UNCOMPRESSED_BYTES) {
+    throw new UnsupportedFileError(`Archive expands to ${Math.round(declaredBytes / 1024 / 1024)} MB (max ${MAX_UNCOMPRESSED_BYTES / 1024 / 1024} MB)`, BOMB_HINT);
+  }
+
+  remainingBytes.set(zip, MAX_UNCOMPRESSED_BYTES);
+  return zip;
+}
+
+/**
+ * Read a ZIP entry as text; null when the entry is missing. Declared sizes can be forged, so
+ * decompression stops as soon as the archive's output passes the limit.
+ */
+export function readText(zip, entryName) {
+  const entry = zip.file(entryName);
+  if (!entry) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = entry.internalStream('uint8array');
+    stream
+      .on('data', chunk => {
+        const remaining = (remainingBytes.get(zip) ?? MAX_UNCOMPRESSED_BYTES) - chunk.length;
+        remainingBytes.set(zip, remaining);
+        if (remaining < 0) {
+          stream.pause();
+          reject(new UnsupportedFileError(`Archive expands to more than ${MAX_UNCOMPRESSED_BYTES / 1024 / 1024} MB`, BOMB_HINT));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+      .resume();
+  });
+}
+
+/**
+ * Read and parse an XML entry from a ZIP file; null when the entry is missing
+ */
+export async function readXml(zip, entryName) {
+  const xml = await readText(zip, entryName);
+  return xml === null ? null : cheerio.load(xml, { xmlMode: true });
+}
+
+/**
+ * Resolve a relative reference (relationship target, manifest href) against the entry that contains it
+ */
+export function resolveEntry(fromEntry, target) {
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromEntry), decodeURIComponent(target)));
+}
+
+/**
+ * Escape a namespaced XML tag name ("a:t") for use in a selector
+ */
+export function tag(name) {
+  return name.replace(':', '\\:');
+}
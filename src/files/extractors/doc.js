@@ -0,0 +1,248 @@
+import fs from 'fs-extra';
+import CFB from 'cfb';
+import { UnsupportedFileError } from '../fileTypes.js';
+
+const CONVERSION_HINT = 'Open the file in Word or LibreOffice and save it as .docx, then upload it again.';
+
+// File Information Block (FIB) fields of the WordDocument stream, by byte offset
+const FIB = {
+  ident: 0x00,
+  version: 0x02,
+  flags: 0x0a,
+  ccpText: 0x4c,
+  fcClx: 0x1a2,
+  lcbClx: 0x1a6
+};
+const WORD_IDENT = 0xa5ec;
+// nFib of Word 97; Word 6 and 95 files have lower versions and no piece table layout we can rely on
+const WORD_97_VERSION = 0xc1;
+const FLAG_ENCRYPTED = 0x0100;
+const FLAG_TABLE_STREAM = 0x0200;
+const PIECE_COMPRESSED = 0x40000000;
+
+// Summary information property ids and value types
+const SUMMARY_PROPERTIES = { 1: 'codePage', 2: 'title', 3: 'subject', 4: 'author', 5: 'keywords', 12: 'created', 14: 'pageCount', 15: 'wordCount' };
+const VT_I2 = 0x02;
+const VT_I4 = 0x03;
+const VT_LPSTR = 0x1e;
+const VT_FILETIME = 0x40;
+
+function streamBuffer(container, name) {
+  const entry = CFB.find(container, name);
+  return entry?.content ? Buffer.from(entry.content) : null;
+}
+
+function decodeCodePage(bytes, codePage) {
+  try {
+    const encodings = { 1200: 'utf-16le', 65001: 'utf-8' };
+    return new TextDecoder(encodings[codePage] || `windows-${codePage || 1252}`).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+/**
+ * Read the document's text through the piece table in the CLX: each piece maps a range of
+ * character positions to either 8-bit (cp1252) or UTF-16 text in the WordDocument stream
+ */
+function readPieces(wordDocument, table, characterCount) {
+  const clxStart = wordDocument.readUInt32LE(FIB.fcClx);
+  const clxEnd = clxStart + wordDocument.readUInt32LE(FIB.lcbClx);
+  let offset = clxStart;
+
+  // Skip the property modifiers (Prc, clxt 0x01) that precede the piece table (Pcdt, clxt 0x02)
+  while (offset < clxEnd && table[offset] === 0x01) {
+    offset += 3 + table.readUInt16LE(offset + 1);
+  }
+  if (table[offset] !== 0x02) {
+    throw new Error('Piece table not found');
+  }
+
+  const plcStart = offset + 5;
+  const pieceCount = (table.readUInt32LE(offset + 1) - 4) / 12;
+  const descriptorsStart = plcStart + (pieceCount + 1) * 4;
+  let text = '';
+
+  for (let i = 0; i < pieceCount; i++) {
+    const cpStart = table.readUInt32LE(plcStart + i * 4);
+    const cpEnd = Math.min(table.readUInt32LE(plcStart + (i + 1) * 4), characterCount);
+    if (cpStart >= characterCount) {
+      break;
+    }
+
+    const fc = table.readUInt32LE(descriptorsStart + i * 8 + 2);
+    if (fc & PIECE_COMPRESSED) {
+      const start = (fc & ~PIECE_COMPRESSED) / 2;
+      text += decodeCodePage(wordDocument.subarray(start, start + cpEnd - cpStart), 1252);
+    } else {
+      text += wordDocument.toString('utf16le', fc, fc + (cpEnd - cpStart) * 2);
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Turn Word's special characters into plain text: paragraph and cell marks become line breaks and tabs,
+ * fields keep their displayed result (not the instruction), and object anchors are dropped
+ */
+function cleanWordText(raw) {
+  // One entry per open field: true once past the field separator (showing its result)
+  const fields = [];
+  let text = '';
+
+  for (const char of raw) {
+    const code = char.charCodeAt(0);
+    if (code === 0x13) {
+      fields.push(false);
+      continue;
+    }
+    if (code === 0x14) {
+      fields[fields.length - 1] = true;
+      continue;
+    }
+    if (code === 0x15) {
+      fields.pop();
+      continue;
+    }
+    if (fields.includes(false)) {
+      continue;
+    }
+
+    switch (code) {
+      case 0x0d:
+      case 0x0b:
+      case 0x0e:
+        text += '\n';
+        break;
+      case 0x0c:
+        text += '\n\n';
+        break;
+      case 0x07:
+        text += '\u0007';
+        break;
+      case 0x1e:
+        text += '-';
+        break;
+      case 0xa0:
+        text += ' ';
+        break;
+      default:
+        if (code >= 0x20 || code === 0x09) {
+          text += char;
+        }
+    }
+  }
+
+  // A cell mark ends each cell and a second one ends the row
+  return text
+    .replace(/\u0007\u0007/g, '\n')
+    .replace(/\u0007/g, '\t')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Document properties from the SummaryInformation property set stream
+ */
+export function readSummaryInformation(buffer) {
+  const properties = {};
+  if (!buffer || buffer.length < 48) {
+    return properties;
+  }
+
+  const section = buffer.readUInt32LE(44);
+  const count = buffer.readUInt32LE(section + 4);
+  const values = [];
+
+  for (let i = 0; i < count; i++) {
+    const id = buffer.readUInt32LE(section + 8 + i * 8);
+    const valueOffset = section + buffer.readUInt32LE(section + 12 + i * 8);
+    if (SUMMARY_PROPERTIES[id] && valueOffset + 8 <= buffer.length) {
+      values.push({ name: SUMMARY_PROPERTIES[id], offset: valueOffset, type: buffer.readUInt32LE(valueOffset) });
+    }
+  }
+
+  const codePage = values.find(value => value.name === 'codePage');
+  const textCodePage = codePage?.type === VT_I2 ? buffer.readUInt16LE(codePage.offset + 4) : 1252;
+
+  for (const { name, offset, type } of values) {
+    if (type === VT_LPSTR) {
+      const length = buffer.readUInt32LE(offset + 4);
+      const value = decodeCodePage(buffer.subarray(offset + 8, offset + 8 + length), textCodePage).replace(/\0+$/, '').trim();
+      if (value) {
+        properties[name] = value;
+      }
+    } else if (type === VT_I4) {
+      properties[name] = buffer.readInt32LE(offset + 4);
+    } else if (type === VT_FILETIME) {
+      // 100-nanosecond intervals since 1601-01-01
+      const intervals = buffer.readBigUInt64LE(offset + 4);
+      if (intervals > 0n) {
+        properties[name] = new Date(Number(intervals / 10000n) - 11644473600000).toISOString();
+      }
+    }
+  }
+
+  delete properties.codePage;
+  return properties;
+}
+
+/**
+ * Word 97-2003 binary documents (.doc): main document text from the piece table, with the
+ * summary information (title, author, page and word counts) as metadata
+ */
+export const docExtractor = {
+  name: 'doc',
+  formats: ['doc'],
+  async extract(filePath) {
+    let container;
+    try {
+      container = CFB.read(await fs.readFile(filePath), { type: 'buffer' });
+    } catch (error) {
+      throw new UnsupportedFileError(`Not a Word 97-2003 document: ${error.message}`, CONVERSION_HINT);
+    }
+
+    const wordDocument = streamBuffer(container, '/WordDocument');
+    if (!wordDocument || wordDocument.length < FIB.lcbClx + 4 || wordDocument.readUInt16LE(FIB.ident) !== WORD_IDENT) {
+      throw new UnsupportedFileError('Not a Word 97-2003 document: WordDocument stream missing or invalid', CONVERSION_HINT);
+    }
+
+    const version = wordDocument.readUInt16LE(FIB.version);
+    if (version < WORD_97_VERSION) {
+      throw new UnsupportedFileError(`Word 6.0/95 documents are not supported (format version ${version})`, CONVERSION_HINT);
+    }
+
+    const flags = wordDocument.readUInt16LE(FIB.flags);
+    if (flags & FLAG_ENCRYPTED) {
+      throw new UnsupportedFileError('Password-protected Word documents are not supported', 'Remove the password in Word (File > Info > Protect Document) and upload the file again.');
+    }
+
+    const table = streamBuffer(container, flags & FLAG_TABLE_STREAM ? '/1Table' : '/0Table');
+    if (!table) {
+      throw new UnsupportedFileError('Word document is missing its table stream', CONVERSION_HINT);
+    }
+
+    const characterCount = wordDocument.readUInt32LE(FIB.ccpText);
+    const content = cleanWordText(readPieces(wordDocument, table, characterCount));
+    const properties = readSummaryInformation(streamBuffer(container, '/\u0005SummaryInformation'));
+
+    return {
+      content,
+      metadata: {
+        type: 'word',
+        format: 'doc',
+        formatVersion: version,
+        title: properties.title || null,
+        subject: properties.subject || null,
+        author: properties.author || null,
+        keywords: properties.keywords || null,
+        created: properties.created || null,
+        pageCount: properties.pageCount ?? null,
+        wordCount: properties.wordCount ?? null,
+        characters: characterCount
+      }
+    };
+  }
+};
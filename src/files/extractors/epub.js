@@ -0,0 +1,110 @@
+import * as cheerio from 'cheerio';
+import { loadZip, readXml, readText, resolveEntry, tag } from './archive.js';
+import { htmlToText } from './html.js';
+
+/**
+ * Chapter titles by content entry, from the EPUB 3 navigation document or the EPUB 2 NCX
+ */
+async function tableOfContents(zip, opfEntry, opf) {
+  const titles = {};
+  const addTitle = (fromEntry, href, title) => {
+    const entry = resolveEntry(fromEntry, href.split('#')[0]);
+    if (title && !titles[entry]) {
+      titles[entry] = title.replace(/\s+/g, ' ').trim();
+    }
+  };
+
+  const navHref = opf('manifest item[properties~="nav"]').attr('href');
+  if (navHref) {
+    const navEntry = resolveEntry(opfEntry, navHref);
+    const nav = await readText(zip, navEntry);
+    if (nav) {
+      const $ = cheerio.load(nav);
+      $('nav a[href]').each((_, link) => addTitle(navEntry, link.attribs.href, $(link).text()));
+      return titles;
+    }
+  }
+
+  const ncxId = opf('spine').attr('toc');
+  const ncxHref = ncxId && opf(`manifest item[id="${ncxId}"]`).attr('href');
+  if (ncxHref) {
+    const ncxEntry = resolveEntry(opfEntry, ncxHref);
+    const ncx = await readXml(zip, ncxEntry);
+    ncx?.('navPoint').each((_, point) => {
+      addTitle(ncxEntry, ncx(point).children('content').attr('src') || '', ncx(point).children('navLabel').text());
+    });
+  }
+
+  return titles;
+}
+
+/**
+ * EPUB e-books: chapter text in reading order, with book metadata and a chapter list with offsets
+ */
+export const epubExtractor = {
+  name: 'epub',
+  formats: ['epub'],
+  async extract(filePath) {
+    const zip = await loadZip(filePath);
+
+    const container = await readXml(zip, 'META-INF/container.xml');
+    const opfEntry = container?.('rootfile').attr('full-path');
+    const opf = opfEntry && await readXml(zip, opfEntry);
+    if (!opf) {
+      throw new Error('Invalid EPUB: package document not found');
+    }
+
+    const manifest = {};
+    opf('manifest item').each((_, item) => {
+      manifest[item.attribs.id] = { href: item.attribs.href, mediaType: item.attribs['media-type'] };
+    });
+    const titles = await tableOfContents(zip, opfEntry, opf);
+
+    const chapters = [];
+    let content = '';
+
+    for (const itemref of opf('spine itemref').toArray()) {
+      const item = manifest[itemref.attribs.idref];
+      if (!item || !/html/.test(item.mediaType || '') || itemref.attribs.linear === 'no') {
+        continue;
+      }
+
+      const entry = resolveEntry(opfEntry, item.href);
+      const html = await readText(zip, entry);
+      if (!html) {
+        continue;
+      }
+
+      const $ = cheerio.load(html);
+      const heading = $('h1, h2, h3').first().text().replace(/\s+/g, ' ').trim();
+      const text = htmlToText($);
+      if (!text) {
+        continue;
+      }
+
+      const start = content.length + (content ? 2 : 0);
+      content += (content ? '\n\n' : '') + text;
+      chapters.push({
+        number: chapters.length + 1,
+        title: titles[entry] || heading || null,
+        href: item.href,
+        start,
+        end: content.length
+      });
+    }
+
+    const field = name => opf(tag(name)).first().text().trim() || null;
+    return {
+      content,
+      metadata: {
+        type: 'epub',
+        title: field('dc:title'),
+        author: opf(tag('dc:creator')).toArray().map(creator => opf(creator).text().trim()).join(', ') || null,
+        language: field('dc:language'),
+        publisher: field('dc:publisher'),
+        chapterCount: chapters.length,
+        chapters
+      }
+    };
+  }
+};
@@ -0,0 +1,58 @@
+import fs from 'fs-extra';
+import * as cheerio from 'cheerio';
+
+const BLOCK_ELEMENTS = 'p, div, section, article, header, footer, aside, main, nav, li, dt, dd, tr, blockquote, pre, figure, figcaption, table, ul, ol, dl, h1, h2, h3, h4, h5, h6, hr';
+
+/**
+ * Readable text from a parsed HTML document: scripts and styles dropped, one line per block element
+ */
+export function htmlToText($) {
+  $('script, style, noscript, template, svg').remove();
+  $('br').replaceWith('\n');
+  $('td, th').append('\t');
+  $(BLOCK_ELEMENTS).each((_, element) => {
+    $(element).prepend('\n').append('\n');
+  });
+
+  const root = $('body').length > 0 ? $('body') : $.root();
+  return root.text()
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Heading outline of an HTML document: [{ level, text }]
+ */
+export function htmlOutline($) {
+  return $('h1, h2, h3, h4, h5, h6').toArray()
+    .map(heading => ({
+      level: parseInt(heading.tagName.slice(1)),
+      text: $(heading).text().replace(/\s+/g, ' ').trim()
+    }))
+    .filter(heading => heading.text);
+}
+
+/**
+ * HTML pages: visible text with the title, description and heading outline as metadata
+ */
+export const htmlExtractor = {
+  name: 'html',
+  formats: ['text'],
+  async extract(filePath) {
+    const $ = cheerio.load(await fs.readFile(filePath, 'utf8'));
+
+    // Read metadata before htmlToText strips the head's scripts and styles
+    const metadata = {
+      type: 'html',
+      title: $('title').first().text().trim() || null,
+      description: $('meta[name="description"]').attr('content') || null,
+      language: $('html').attr('lang') || null,
+      outline: htmlOutline($),
+      links: $('a[href]').length
+    };
+
+    return { content: htmlToText($), metadata };
+  }
+};
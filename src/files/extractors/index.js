@@ -0,0 +1,24 @@
+import { docExtractor } from './doc.js';
+import { pptxExtractor } from './pptx.js';
+import { htmlExtractor } from './html.js';
+import { markdownExtractor } from './markdown.js';
+import { epubExtractor } from './epub.js';
+import { odtExtractor } from './odt.js';
+import { rtfExtractor } from './rtf.js';
+
+export { docExtractor, pptxExtractor, htmlExtractor, markdownExtractor, epubExtractor, odtExtractor, rtfExtractor };
+export { htmlToText, htmlOutline } from './html.js';
+export { markdownOutline } from './markdown.js';
+export { rtfToText } from './rtf.js';
+export { readSummaryInformation } from './doc.js';
+
+// Document formats registered with the file search agent alongside its PDF, Office and text extractors
+export const documentExtractors = [
+  { extensions: ['.doc'], extractor: docExtractor },
+  { extensions: ['.pptx'], extractor: pptxExtractor },
+  { extensions: ['.html', '.htm'], extractor: htmlExtractor },
+  { extensions: ['.md', '.markdown'], extractor: markdownExtractor },
+  { extensions: ['.epub'], extractor: epubExtractor },
+  { extensions: ['.odt'], extractor: odtExtractor },
+  { extensions: ['.rtf'], extractor: rtfExtractor }
+];
@@ -0,0 +1,83 @@
+import fs from 'fs-extra';
+
+/**
+ * Split YAML-style front matter ("---" block at the top) from the body. Only flat
+ * "key: value" lines are read; nested YAML is kept as raw strings.
+ */
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)\r?\n?/);
+  if (!match) {
+    return { frontMatter: null, body: text };
+  }
+
+  const frontMatter = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (field) {
+      frontMatter[field[1]] = field[2].replace(/^(["'])(.*)\1$/, '$2');
+    }
+  }
+
+  return { frontMatter, body: text.slice(match[0].length) };
+}
+
+/**
+ * Heading outline of a Markdown document: [{ level, text, line }], ignoring fenced code blocks
+ */
+export function markdownOutline(body) {
+  const lines = body.split(/\r?\n/);
+  const outline = [];
+  let fence = null;
+
+  lines.forEach((line, i) => {
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence) {
+      return;
+    }
+
+    const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (atx) {
+      outline.push({ level: atx[1].length, text: atx[2], line: i + 1 });
+      return;
+    }
+
+    // Setext headings: a text line underlined with === (level 1) or --- (level 2)
+    const underline = lines[i + 1]?.match(/^\s{0,3}(=+|-+)\s*$/);
+    if (underline && line.trim() && !/^\s{0,3}([-*+]|\d+\.)\s/.test(line)) {
+      outline.push({ level: underline[1][0] === '=' ? 1 : 2, text: line.trim(), line: i + 1 });
+    }
+  });
+
+  return outline;
+}
+
+/**
+ * Markdown documents: the Markdown source (already readable text) with front matter and heading outline as metadata
+ */
+export const markdownExtractor = {
+  name: 'markdown',
+  formats: ['text'],
+  async extract(filePath) {
+    const { frontMatter, body } = parseFrontMatter(await fs.readFile(filePath, 'utf8'));
+    const outline = markdownOutline(body);
+
+    return {
+      content: body.trim(),
+      metadata: {
+        type: 'markdown',
+        title: frontMatter?.title || outline.find(heading => heading.level === 1)?.text || null,
+        frontMatter,
+        outline,
+        codeBlocks: Math.floor((body.match(/^\s{0,3}(```|~~~)/gm) || []).length / 2)
+      }
+    };
+  }
+};
@@ -0,0 +1,75 @@
+import { loadZip, readXml, tag } from './archive.js';
+
+/**
+ * Text of an ODF paragraph or heading, expanding space, tab and line break elements.
+ * Footnote bodies are left out; they are read as their own paragraphs.
+ */
+function paragraphText($, element) {
+  return $(element).contents().toArray().map(node => {
+    if (node.type === 'text') {
+      return node.data;
+    }
+    switch (node.tagName) {
+      case 'text:s':
+        return ' '.repeat(parseInt(node.attribs['text:c']) || 1);
+      case 'text:tab':
+        return '\t';
+      case 'text:line-break':
+        return '\n';
+      case 'text:note':
+        return '';
+      default:
+        return paragraphText($, node);
+    }
+  }).join('');
+}
+
+/**
+ * OpenDocument text files: paragraphs and headings in order, with document properties and heading outline as metadata
+ */
+export const odtExtractor = {
+  name: 'odt',
+  formats: ['odt'],
+  async extract(filePath) {
+    const zip = await loadZip(filePath);
+    const $ = await readXml(zip, 'content.xml');
+    if (!$) {
+      throw new Error('Invalid OpenDocument file: content.xml not found');
+    }
+
+    const outline = [];
+    const lines = [];
+    $(`${tag('office:text')} ${tag('text:h')}, ${tag('office:text')} ${tag('text:p')}`).each((_, element) => {
+      // Paragraphs nested in another paragraph (text boxes) are read as part of it; footnotes are read on their own
+      if ($(element).parents(`${tag('text:p')}, ${tag('text:h')}`).length > 0 && $(element).parents(tag('text:note')).length === 0) {
+        return;
+      }
+
+      const text = paragraphText($, element).trim();
+      if (!text) {
+        return;
+      }
+      if (element.tagName === 'text:h') {
+        outline.push({ level: parseInt(element.attribs['text:outline-level']) || 1, text });
+      }
+      lines.push(text);
+    });
+
+    const meta = await readXml(zip, 'meta.xml');
+    const statistics = meta?.(tag('meta:document-statistic')).attr() || {};
+    const field = name => meta?.(tag(name)).first().text().trim() || null;
+
+    return {
+      content: lines.join('\n'),
+      metadata: {
+        type: 'odt',
+        title: field('dc:title') || outline[0]?.text || null,
+        author: field('meta:initial-creator') || field('dc:creator'),
+        created: field('meta:creation-date'),
+        pageCount: parseInt(statistics['meta:page-count']) || null,
+        wordCount: parseInt(statistics['meta:word-count']) || null,
+        outline
+      }
+    };
+  }
+};
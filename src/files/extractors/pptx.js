@@ -0,0 +1,115 @@
+import { loadZip, readXml, resolveEntry, tag } from './archive.js';
+
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+
+/**
+ * Slide entries in presentation order, following the slide list in presentation.xml
+ */
+async function slideEntries(zip) {
+  const presentation = await readXml(zip, 'ppt/presentation.xml');
+  const relationships = await readXml(zip, 'ppt/_rels/presentation.xml.rels');
+
+  if (presentation && relationships) {
+    const targets = {};
+    relationships('Relationship').each((_, relationship) => {
+      targets[relationship.attribs.Id] = resolveEntry('ppt/presentation.xml', relationship.attribs.Target);
+    });
+
+    const ordered = presentation(tag('p:sldId')).toArray()
+      .map(slide => targets[slide.attribs['r:id']])
+      .filter(entry => entry && zip.file(entry));
+    if (ordered.length > 0) {
+      return ordered;
+    }
+  }
+
+  // Fall back to the slide file numbers
+  return Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1]) - parseInt(b.match(/(\d+)\.xml$/)[1]));
+}
+
+/**
+ * Paragraph texts of a shape tree, one string per <a:p>
+ */
+function paragraphs($, scope) {
+  return $(scope).find(tag('a:p')).toArray()
+    .map(paragraph => $(paragraph).find(`${tag('a:t')}, ${tag('a:br')}`).toArray()
+      .map(node => node.tagName === 'a:br' ? '\n' : $(node).text())
+      .join(''))
+    .filter(text => text.trim());
+}
+
+/**
+ * Speaker notes for a slide, found through the slide's relationships
+ */
+async function slideNotes(zip, slideEntry) {
+  const relationshipsEntry = slideEntry.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels');
+  const relationships = await readXml(zip, relationshipsEntry);
+  const target = relationships?.('Relationship').toArray()
+    .find(relationship => relationship.attribs.Type?.endsWith('/notesSlide'))?.attribs.Target;
+  if (!target) {
+    return null;
+  }
+
+  const $ = await readXml(zip, resolveEntry(slideEntry, target));
+  if (!$) {
+    return null;
+  }
+
+  // Skip the slide image and slide number placeholders; keep the body text
+  const text = $(tag('p:sp')).toArray()
+    .filter(shape => !['sldImg', 'sldNum'].includes($(shape).find(tag('p:ph')).attr('type')))
+    .flatMap(shape => paragraphs($, shape))
+    .join('\n');
+  return text || null;
+}
+
+/**
+ * PowerPoint presentations: slide text and speaker notes, with per-slide titles and offsets as metadata
+ */
+export const pptxExtractor = {
+  name: 'pptx',
+  formats: ['pptx'],
+  async extract(filePath) {
+    const zip = await loadZip(filePath);
+    const slides = [];
+    let content = '';
+
+    for (const [i, entry] of (await slideEntries(zip)).entries()) {
+      const $ = await readXml(zip, entry);
+      const shapes = $(tag('p:sp')).toArray();
+      const titleShape = shapes.find(shape => TITLE_PLACEHOLDERS.includes($(shape).find(tag('p:ph')).attr('type')));
+      const title = titleShape ? paragraphs($, titleShape).join(' ') : null;
+      const body = shapes
+        .filter(shape => shape !== titleShape)
+        .flatMap(shape => paragraphs($, shape));
+      // Tables live in graphic frames rather than shapes
+      const tables = $(tag('a:tbl')).toArray().map(table => $(table).find(tag('a:tr')).toArray()
+        .map(row => $(row).find(tag('a:tc')).toArray().map(cell => paragraphs($, cell).join(' ')).join('\t'))
+        .join('\n'));
+      const notes = await slideNotes(zip, entry);
+
+      const number = i + 1;
+      const text = [
+        `--- Slide ${number}${title ? `: ${title}` : ''} ---`,
+        ...body,
+        ...tables,
+        ...(notes ? [`Notes: ${notes}`] : [])
+      ].join('\n');
+
+      const start = content.length + (content ? 2 : 0);
+      content += (content ? '\n\n' : '') + text;
+      slides.push({ number, title, start, end: content.length, hasNotes: Boolean(notes) });
+    }
+
+    return {
+      content,
+      metadata: {
+        type: 'pptx',
+        slideCount: slides.length,
+        slides
+      }
+    };
+  }
+};
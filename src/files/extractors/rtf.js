@@ -0,0 +1,193 @@
+import fs from 'fs-extra';
+
+// Groups that hold formatting tables, embedded objects or field instructions rather than document text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl',
+  'generator', 'pict', 'object', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+  'xmlnstbl', 'fldinst', 'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf'
+]);
+
+// Document properties read from the \info group
+const INFO_FIELDS = new Set(['title', 'subject', 'author', 'operator', 'keywords', 'company']);
+
+const CHARACTERS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  row: '\n',
+  tab: '\t',
+  cell: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' '
+};
+
+// Control word with optional numeric parameter; a single trailing space is part of it
+const CONTROL_WORD = /([a-zA-Z]+)(-?\d+)? ?/y;
+
+function codePageDecoder(codePage) {
+  const encodings = { 65001: 'utf-8', 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5' };
+  try {
+    return new TextDecoder(encodings[codePage] || `windows-${codePage}`);
+  } catch {
+    return new TextDecoder('windows-1252');
+  }
+}
+
+/**
+ * Convert RTF markup to plain text, collecting \info properties along the way
+ */
+export function rtfToText(rtf) {
+  const output = [];
+  const info = {};
+  let decoder = codePageDecoder(1252);
+  let state = { skip: false, field: null, uc: 1 };
+  const stack = [];
+  // Raw \'hh bytes are decoded together so multi-byte code pages come out right
+  let bytes = [];
+  // Fallback characters still to drop after a \u escape
+  let fallback = 0;
+
+  const emit = text => {
+    if (state.skip || !text) {
+      return;
+    }
+    if (state.field) {
+      info[state.field] = (info[state.field] || '') + text;
+    } else if (!state.info) {
+      output.push(text);
+    }
+  };
+  const flushBytes = () => {
+    if (bytes.length > 0) {
+      emit(decoder.decode(Uint8Array.from(bytes)));
+      bytes = [];
+    }
+  };
+
+  for (let i = 0; i < rtf.length; i++) {
+    const char = rtf[i];
+
+    if (char === '\\' && rtf[i + 1] === "'") {
+      const byte = parseInt(rtf.substr(i + 2, 2), 16);
+      i += 3;
+      if (fallback > 0) {
+        fallback--;
+      } else if (!Number.isNaN(byte)) {
+        bytes.push(byte);
+      }
+      continue;
+    }
+    flushBytes();
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      continue;
+    }
+    if (char === '}') {
+      state = stack.pop() || state;
+      fallback = 0;
+      continue;
+    }
+    if (char === '\r' || char === '\n') {
+      continue;
+    }
+    if (char !== '\\') {
+      if (fallback > 0) {
+        fallback--;
+      } else {
+        emit(char);
+      }
+      continue;
+    }
+
+    const next = rtf[i + 1];
+    if (next === undefined) {
+      break;
+    }
+
+    if (!/[a-zA-Z]/.test(next)) {
+      i++;
+      if (next === '*') {
+        // Ignorable destination (\*): optional content this reader does not use
+        state.skip = true;
+      } else if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+      } else if (next === '~') {
+        emit(' ');
+      } else if (next === '_') {
+        emit('-');
+      } else if (next === '\r' || next === '\n') {
+        emit('\n');
+      }
+      continue;
+    }
+
+    CONTROL_WORD.lastIndex = i + 1;
+    const [token, word, parameter] = CONTROL_WORD.exec(rtf);
+    i += token.length;
+    const value = parameter === undefined ? null : parseInt(parameter);
+
+    if (word === 'u' && value !== null) {
+      emit(String.fromCharCode(value < 0 ? value + 65536 : value));
+      fallback = state.uc;
+    } else if (word === 'uc' && value !== null) {
+      state.uc = value;
+    } else if (word === 'ansicpg' && value !== null) {
+      decoder = codePageDecoder(value);
+    } else if (word === 'info') {
+      state.info = true;
+    } else if (state.info && INFO_FIELDS.has(word)) {
+      state.info = false;
+      state.field = word;
+    } else if (SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+    } else if (CHARACTERS[word]) {
+      emit(CHARACTERS[word]);
+    }
+  }
+  flushBytes();
+
+  const text = output.join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    text,
+    info: Object.fromEntries(Object.entries(info).map(([key, value]) => [key, value.trim()]))
+  };
+}
+
+/**
+ * Rich Text Format documents: plain text with the document properties as metadata
+ */
+export const rtfExtractor = {
+  name: 'rtf',
+  formats: ['rtf'],
+  async extract(filePath) {
+    const rtf = await fs.readFile(filePath, 'latin1');
+    const { text, info } = rtfToText(rtf);
+    const codePage = rtf.match(/\\ansicpg(\d+)/);
+
+    return {
+      content: text,
+      metadata: {
+        type: 'rtf',
+        title: info.title || null,
+        author: info.author || null,
+        subject: info.subject || null,
+        keywords: info.keywords || null,
+        codePage: codePage ? parseInt(codePage[1]) : 1252
+      }
+    };
+  }
+};
@@ -0,0 +1,212 @@
+import fs from 'fs-extra';
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+const RTF_SIGNATURE = Buffer.from('{\\rtf');
+
+// ZIP-based formats that declare themselves in a leading, uncompressed "mimetype" entry
+const ZIP_MIMETYPES = {
+  'application/epub+zip': 'epub',
+  'application/vnd.oasis.opendocument.text': 'odt'
+};
+
+// Content formats each extension may contain
+const EXPECTED_FORMATS = {
+  '.pdf': ['pdf'],
+  '.docx': ['docx'],
+  '.doc': ['doc'],
+  '.xlsx': ['xlsx'],
+  '.xls': ['xls'],
+  '.pptx': ['pptx'],
+  '.epub': ['epub'],
+  '.odt': ['odt'],
+  '.rtf': ['rtf'],
+  '.txt': ['text'],
+  '.csv': ['text'],
+  '.json': ['text'],
+  '.html': ['text'],
+  '.htm': ['text'],
+  '.md': ['text'],
+  '.markdown': ['text']
+};
+
+/**
+ * A file in a supported format that can't be read anyway (an obsolete version, password protection);
+ * `hint` says how to convert it into something that can
+ */
+export class UnsupportedFileError extends Error {
+  constructor(message, hint) {
+    super(message);
+    this.name = 'UnsupportedFileError';
+    this.status = 415;
+    this.code = 'UNSUPPORTED_FILE';
+    this.hint = hint;
+  }
+}
+
+/**
+ * Entry names from a ZIP file's central directory
+ */
+export function listZipEntries(buffer) {
+  // The end-of-central-directory record sits in the last 22 bytes plus an optional comment (max 64KB)
+  const searchStart = Math.max(0, buffer.length - 22 - 0xffff);
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= searchStart; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    return [];
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < entryCount && offset + 46 <= buffer.length; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      break;
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    entries.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * The content of a ZIP file's "mimetype" entry when it is stored uncompressed as the first entry (OpenDocument, EPUB)
+ */
+function readZipMimetype(buffer) {
+  if (buffer.length < 30) {
+    return null;
+  }
+
+  const nameLength = buffer.readUInt16LE(26);
+  if (buffer.readUInt16LE(8) !== 0 || buffer.toString('utf8', 30, 30 + nameLength) !== 'mimetype') {
+    return null;
+  }
+
+  const dataStart = 30 + nameLength + buffer.readUInt16LE(28);
+  return buffer.toString('utf8', dataStart, dataStart + buffer.readUInt32LE(18)).trim();
+}
+
+/**
+ * Tell Office Open XML, OpenDocument and EPUB files apart from other ZIP files by their entries
+ */
+function detectZipFormat(buffer) {
+  const mimetypeFormat = ZIP_MIMETYPES[readZipMimetype(buffer)];
+  if (mimetypeFormat) {
+    return mimetypeFormat;
+  }
+
+  const entries = listZipEntries(buffer);
+  if (entries.some(entry => entry.startsWith('word/'))) {
+    return 'docx';
+  }
+  if (entries.some(entry => entry.startsWith('xl/'))) {
+    return 'xlsx';
+  }
+  if (entries.some(entry => entry.startsWith('ppt/'))) {
+    return 'pptx';
+  }
+  if (entries.includes('META-INF/container.xml')) {
+    return 'epub';
+  }
+  return 'zip';
+}
+
+/**
+ * Tell legacy Word and Excel files apart by the stream names in the compound file directory
+ */
+function detectOleFormat(buffer) {
+  if (buffer.includes(Buffer.from('WordDocument', 'utf16le'))) {
+    return 'doc';
+  }
+  if (buffer.includes(Buffer.from('Workbook', 'utf16le')) || buffer.includes(Buffer.from('Book', 'utf16le'))) {
+    return 'xls';
+  }
+  return 'ole';
+}
+
+/**
+ * Plain text: no NUL bytes and valid UTF-8 (or a UTF-16 byte order mark)
+ */
+function isText(buffer) {
+  const sample = buffer.subarray(0, 8192);
+  if ((sample[0] === 0xff && sample[1] === 0xfe) || (sample[0] === 0xfe && sample[1] === 0xff)) {
+    return true;
+  }
+  if (sample.includes(0)) {
+    return false;
+  }
+
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Detect a file's format from its content (magic bytes), ignoring its name and the client's mimetype.
+ * Returns pdf, docx, xlsx, pptx, odt, epub, zip, doc, xls, ole, rtf, text or unknown.
+ */
+export async function detectFileType(filePath) {
+  const buffer = await fs.readFile(filePath);
+
+  if (buffer.subarray(0, 1024).includes(PDF_SIGNATURE)) {
+    return 'pdf';
+  }
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    return detectZipFormat(buffer);
+  }
+  if (buffer.subarray(0, 8).equals(OLE_SIGNATURE)) {
+    return detectOleFormat(buffer);
+  }
+  if (buffer.subarray(0, 5).equals(RTF_SIGNATURE)) {
+    return 'rtf';
+  }
+  if (isText(buffer)) {
+    return 'text';
+  }
+  return 'unknown';
+}
+
+/**
+ * Check that a file's content matches its extension, e.g. that a ".pdf" upload really is a PDF.
+ * `expected` overrides the content formats allowed for the extension (used for registered extractors).
+ */
+export async function verifyFileType(filePath, extension, expected = EXPECTED_FORMATS[extension]) {
+  if (!expected) {
+    return { valid: false, format: null, error: `Unsupported file extension: ${extension || '(none)'}` };
+  }
+
+  const format = await detectFileType(filePath);
+  if (!expected.includes(format)) {
+    return {
+      valid: false,
+      format,
+      error: `File content is ${format === 'unknown' ? 'not a recognized format' : format}, which does not match its ${extension} extension`
+    };
+  }
+
+  if (extension === '.json') {
+    try {
+      await fs.readJson(filePath);
+    } catch (error) {
+      return { valid: false, format, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+
+  // Text formats are named after the extension (csv, json); .txt stays "text"
+  return { valid: true, format: format === 'text' && extension !== '.txt' ? extension.slice(1) : format };
+}
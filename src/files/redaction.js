@@ -0,0 +1,310 @@
+import crypto from 'crypto';
+import { pageAt } from '../search/pages.js';
+
+export const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.[\p{L}]{2,}/gu;
+// International (+44 20 7946 0958), bracketed area code ((555) 123-4567) or 555-123-4567, but not part of a longer run of digit groups
+export const PHONE_PATTERN = /(?<![\w+]|\d[\s.-])(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d{1,4}(?:[\s.-]?\d{2,4}){1,4}|\(\d{3}\)[\s.-]?\d{3}[\s.-]?\d{4}|\d{3}[.-]\d{3}[.-]\d{4})(?!\w|[\s.-]\d)/g;
+
+/**
+ * Built-in detectors, in priority order: where two matches overlap, the earlier detector wins
+ * (a card number is not also reported as a phone number). `valid` rejects lookalikes.
+ */
+const DETECTORS = [
+  {
+    type: 'email',
+    pattern: EMAIL_PATTERN
+  },
+  {
+    type: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    valid: ibanValid
+  },
+  {
+    type: 'credit_card',
+    pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+    valid: luhnValid
+  },
+  {
+    type: 'ssn',
+    // US SSN layout; area 000, 666 and 900-999, group 00 and serial 0000 are never issued
+    pattern: /(?<![\d-])(?!000|666|9\d\d)\d{3}([- ])(?!00)\d{2}\1(?!0000)\d{4}(?![\d-])/g
+  },
+  {
+    type: 'phone',
+    pattern: PHONE_PATTERN
+  }
+];
+
+export const REDACTION_TYPES = DETECTORS.map(detector => detector.type);
+
+/**
+ * Luhn checksum used by payment card numbers
+ */
+export function luhnValid(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * ISO 13616 check: move the country code and check digits to the end, map letters to numbers, mod 97 must be 1
+ */
+export function ibanValid(value) {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Partly masked value for redaction reports, enough to recognize it without repeating it
+ */
+export function maskValue(type, value) {
+  if (type === 'email') {
+    const [local, domain] = value.split('@');
+    return `${local[0]}***@${domain}`;
+  }
+  const characters = value.replace(/[\s-]/g, '');
+  return characters.length > 6 ? `***${characters.slice(-4)}` : '***';
+}
+
+/**
+ * Shift offsets in the original text to offsets in the redacted text; offsets inside a redacted value move to its start
+ */
+function offsetMapper(redactions) {
+  return offset => {
+    let shift = 0;
+    for (const redaction of redactions) {
+      if (redaction.originalStart >= offset) {
+        break;
+      }
+      if (redaction.originalEnd > offset) {
+        return redaction.originalStart + shift;
+      }
+      shift += redaction.placeholder.length - (redaction.originalEnd - redaction.originalStart);
+    }
+    return offset + shift;
+  };
+}
+
+/**
+ * Replaces personal data (emails, phone numbers, payment cards, IBANs, SSN-like IDs and custom patterns)
+ * with placeholders such as [EMAIL_1] before text is sent to a model. The same value gets the same
+ * placeholder throughout a session, so the model can still tell values apart.
+ *
+ * Options (defaults from the environment):
+ * - enabled: REDACT_PII, on unless "false"
+ * - types: REDACTION_TYPES, comma-separated subset of the built-in types
+ * - patterns: REDACTION_PATTERNS, JSON array of { name, pattern, flags? } custom patterns
+ */
+export class Redactor {
+  constructor(options = {}) {
+    this.name = 'Redactor';
+    this.enabled = options.enabled ?? process.env.REDACT_PII !== 'false';
+
+    const types = options.types || process.env.REDACTION_TYPES?.split(',').map(type => type.trim()).filter(Boolean) || REDACTION_TYPES;
+    this.detectors = DETECTORS.filter(detector => types.includes(detector.type));
+
+    let patterns = options.patterns;
+    if (!patterns && process.env.REDACTION_PATTERNS) {
+      try {
+        patterns = JSON.parse(process.env.REDACTION_PATTERNS);
+      } catch (error) {
+        console.warn(`⚠️ Ignoring REDACTION_PATTERNS: ${error.message}`);
+      }
+    }
+    for (const custom of patterns || []) {
+      this.addPattern(custom.name, custom.pattern, custom.flags);
+    }
+  }
+
+  /**
+   * Add a custom pattern; matches are replaced with [NAME_N]
+   */
+  addPattern(name, pattern, flags = 'g') {
+    try {
+      const source = pattern instanceof RegExp ? pattern.source : pattern;
+      const regexFlags = pattern instanceof RegExp ? pattern.flags : flags;
+      this.detectors.push({
+        type: String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_'),
+        pattern: new RegExp(source, regexFlags.includes('g') ? regexFlags : `${regexFlags}g`),
+        custom: true
+      });
+    } catch (error) {
+      console.warn(`⚠️ Ignoring redaction pattern "${name}": ${error.message}`);
+    }
+    return this;
+  }
+
+  /**
+   * Identifies the redaction settings, so results computed from redacted text can be cached per setting
+   */
+  get fingerprint() {
+    if (!this.enabled) {
+      return 'raw';
+    }
+    const settings = this.detectors.map(detector => `${detector.type}:${detector.pattern.source}:${detector.pattern.flags}`).join('|');
+    return `redacted-${crypto.createHash('sha256').update(settings).digest('hex').slice(0, 12)}`;
+  }
+
+  /**
+   * Placeholder numbering shared by every text redacted with it
+   */
+  createSession() {
+    return { placeholders: new Map(), counts: {} };
+  }
+
+  /**
+   * Redact one text. Returns the redacted text and the redactions, with offsets in both texts.
+   */
+  redact(text, session = this.createSession()) {
+    if (!this.enabled || !text) {
+      return { text, redactions: [] };
+    }
+
+    const claimed = new Uint8Array(text.length);
+    const found = [];
+    for (const detector of this.detectors) {
+      for (const match of text.matchAll(detector.pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (!match[0] || (detector.valid && !detector.valid(match[0])) || claimed.subarray(start, end).some(Boolean)) {
+          continue;
+        }
+        claimed.fill(1, start, end);
+        found.push({ type: detector.type, value: match[0], originalStart: start, originalEnd: end });
+      }
+    }
+    found.sort((a, b) => a.originalStart - b.originalStart);
+
+    let output = '';
+    let position = 0;
+    const redactions = found.map(redaction => {
+      const key = `${redaction.type}:${redaction.value.replace(/\s/g, '').toLowerCase()}`;
+      if (!session.placeholders.has(key)) {
+        session.counts[redaction.type] = (session.counts[redaction.type] || 0) + 1;
+        session.placeholders.set(key, `[${redaction.type.toUpperCase()}_${session.counts[redaction.type]}]`);
+      }
+      const placeholder = session.placeholders.get(key);
+
+      output += text.slice(position, redaction.originalStart);
+      const start = output.length;
+      output += placeholder;
+      position = redaction.originalEnd;
+
+      return {
+        type: redaction.type,
+        placeholder,
+        preview: maskValue(redaction.type, redaction.value),
+        start,
+        end: output.length,
+        originalStart: redaction.originalStart,
+        originalEnd: redaction.originalEnd
+      };
+    });
+    output += text.slice(position);
+
+    return { text: output, redactions };
+  }
+
+  /**
+   * Redacted text of spans ({ start, end } offsets) of `content`. The whole content is redacted first,
+   * so a value cut off at the edge of a span is still caught.
+   */
+  redactSpans(content, spans) {
+    const { text, redactions } = this.redact(content);
+    const mapOffset = offsetMapper(redactions);
+    return spans.map(({ start, end }) => text.slice(mapOffset(start), mapOffset(end)));
+  }
+
+  /**
+   * Redact an extraction ({ content, pages?, tables?, metadata }) for use with models: the content,
+   * page and line text and table cells are redacted, and page offsets and metadata sections with
+   * start/end offsets (slides, chapters) are moved to match the redacted content.
+   * Adds `redaction`: counts per type and each redaction's placeholder, masked preview and location.
+   */
+  redactExtraction(extraction) {
+    if (!this.enabled) {
+      return { ...extraction, redaction: { enabled: false, total: 0, counts: {}, items: [] } };
+    }
+
+    const session = this.createSession();
+    const { text: content, redactions } = this.redact(extraction.content, session);
+    const mapOffset = offsetMapper(redactions);
+    const redactText = text => typeof text === 'string' ? this.redact(text, session).text : text;
+    const moveSection = section => typeof section?.start === 'number' && typeof section?.end === 'number'
+      ? { ...section, start: mapOffset(section.start), end: mapOffset(section.end) }
+      : section;
+
+    const pages = extraction.pages?.map(page => ({
+      ...moveSection(page),
+      text: redactText(page.text),
+      lines: page.lines?.map(line => ({
+        ...line,
+        text: redactText(line.text),
+        ...(line.cells && { cells: line.cells.map(redactText) })
+      }))
+    }));
+    const tables = extraction.tables?.map(table => ({
+      ...table,
+      rows: table.rows.map(row => row.map(redactText))
+    }));
+    const metadata = extraction.metadata && Object.fromEntries(Object.entries(extraction.metadata).map(([key, value]) => [
+      key,
+      Array.isArray(value) ? value.map(moveSection) : value
+    ]));
+
+    const counts = {};
+    for (const redaction of redactions) {
+      counts[redaction.type] = (counts[redaction.type] || 0) + 1;
+    }
+
+    return {
+      ...extraction,
+      content,
+      ...(pages && { pages }),
+      ...(tables && { tables }),
+      ...(metadata && { metadata }),
+      redaction: {
+        enabled: true,
+        total: redactions.length,
+        counts,
+        items: redactions.map(({ type, placeholder, preview, start, end }) => ({
+          type,
+          placeholder,
+          preview,
+          start,
+          end,
+          ...(pages && { page: pageAt(pages, start) })
+        }))
+      }
+    };
+  }
+}
+
+// Shared redactor used by the file search agent
+export const redactor = new Redactor();
@@ -0,0 +1,64 @@
+import { z } from 'zod';
+
+/**
+ * Output styles for document summaries, with the instructions given to the model for each
+ */
+export const SUMMARY_STYLES = {
+  executive: 'Write an executive summary of a few short paragraphs: what the document is and its purpose, the key findings, figures, dates and decisions, and any risks, obligations or recommendations.',
+  outline: 'Write a Markdown bullet outline of the document: one top-level bullet per main topic in document order, with nested bullets for the key points, figures and dates under each.',
+  sections: 'Summarize each section in two or three sentences covering its key points, figures and dates.'
+};
+
+export const SUMMARY_STYLE_NAMES = Object.keys(SUMMARY_STYLES);
+
+/**
+ * Per-section summaries for the "sections" style; titles are the section titles as given
+ */
+export const SectionSummarySchema = z.object({
+  sections: z.array(z.object({
+    title: z.string().describe('The section title exactly as given'),
+    summary: z.string()
+  }))
+});
+
+/**
+ * Map items with an async function, running at most `limit` at a time; results keep the input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Group consecutive texts into batches of at most `maxLength` characters (a longer text is a batch of its own)
+ */
+export function batchTexts(texts, maxLength) {
+  const batches = [];
+  let batch = [];
+  let length = 0;
+
+  for (const text of texts) {
+    if (batch.length > 0 && length + text.length > maxLength) {
+      batches.push(batch);
+      batch = [];
+      length = 0;
+    }
+    batch.push(text);
+    length += text.length + 2;
+  }
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  return batches;
+}
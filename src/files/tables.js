@@ -0,0 +1,543 @@
+import { z } from 'zod';
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const NULL_VALUES = new Set(['', 'na', 'n/a', 'null', 'none', '-', '—']);
+const CURRENCY_SYMBOLS = /[$€£¥]/g;
+const NUMBER_PATTERN = /^[+-]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?(e[+-]?\d+)?$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const US_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+// Rows returned by a query before the result is truncated
+const MAX_RESULT_ROWS = 500;
+
+const FilterSchema = z.object({
+  column: z.string(),
+  operator: z.enum(['=', '!=', '>', '>=', '<', '<=', 'contains', 'in']),
+  value: z.union([z.string(), z.number(), z.boolean(), z.null(), z.array(z.union([z.string(), z.number()]))])
+});
+
+const AggregateSchema = z.object({
+  function: z.enum(['count', 'countDistinct', 'sum', 'avg', 'min', 'max']),
+  column: z.string().optional().describe('Column to aggregate; omit for count of rows'),
+  as: z.string().optional().describe('Name of the result column')
+});
+
+/**
+ * A query over one table: filter rows, optionally group them and compute aggregates, then sort and limit
+ */
+export const TableQuerySchema = z.object({
+  table: z.string().optional().describe('Name of the table to query when the file has several'),
+  select: z.array(z.string()).optional().describe('Columns to return when there are no aggregates'),
+  filters: z.array(FilterSchema).default([]),
+  groupBy: z.array(z.string()).default([]),
+  aggregates: z.array(AggregateSchema).default([]),
+  orderBy: z.array(z.object({
+    column: z.string().describe('Input column, group column or aggregate result name'),
+    direction: z.enum(['asc', 'desc']).default('asc')
+  })).default([]),
+  limit: z.number().int().positive().optional()
+});
+
+/**
+ * A table query that can't run against the table, e.g. an unknown column or summing a text column
+ */
+export class TableQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TableQueryError';
+    this.status = 400;
+    this.code = 'INVALID_TABLE_QUERY';
+  }
+}
+
+// Lines read to detect the delimiter
+const DELIMITER_SAMPLE_LINES = 10;
+
+/**
+ * How often each candidate delimiter appears outside quotes on each of the first non-blank lines.
+ * A character loop rather than a regex, so a huge quoted field is just skipped over.
+ */
+function countDelimiters(text) {
+  const lines = [];
+  let counts = Object.fromEntries(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let blank = true;
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length && lines.length < DELIMITER_SAMPLE_LINES; i++) {
+    const char = text[i];
+    if (char === '"') {
+      // A doubled quote inside quotes toggles twice, leaving the state unchanged
+      inQuotes = !inQuotes;
+      blank = false;
+    } else if (inQuotes) {
+      continue;
+    } else if (char === '\n' || char === '\r') {
+      if (!blank) {
+        lines.push(counts);
+      }
+      counts = Object.fromEntries(DELIMITERS.map(delimiter => [delimiter, 0]));
+      blank = true;
+    } else {
+      if (char in counts) {
+        counts[char]++;
+      }
+      if (char.trim()) {
+        blank = false;
+      }
+    }
+  }
+
+  if (!blank && lines.length < DELIMITER_SAMPLE_LINES) {
+    lines.push(counts);
+  }
+  return lines;
+}
+
+/**
+ * Pick the delimiter that splits the first lines into the most, and most consistent, fields (quotes ignored)
+ */
+export function detectDelimiter(text) {
+  const lines = countDelimiters(text);
+  let best = { delimiter: ',', score: 0 };
+
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map(line => line[delimiter]);
+    const consistent = counts.filter(count => count === counts[0]).length;
+    const score = counts[0] > 0 ? consistent * 100 + counts[0] : 0;
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  }
+
+  return best.delimiter;
+}
+
+/**
+ * Parse CSV per RFC 4180: quoted fields may contain delimiters, line breaks and doubled quotes ("").
+ * LF and CRLF line endings are both accepted; blank lines are skipped.
+ */
+export function parseCsv(text, options = {}) {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return {
+    delimiter,
+    rows: rows.filter(cells => cells.some(cell => cell.trim() !== ''))
+  };
+}
+
+function isNull(value) {
+  return value === null || value === undefined || (typeof value === 'string' && NULL_VALUES.has(value.trim().toLowerCase()));
+}
+
+/**
+ * Parse numbers as written in tables: thousands separators, currency symbols, percentages and (negative) amounts.
+ * Values with leading zeros (IDs, ZIP codes) are not numbers.
+ */
+export function parseNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let text = value.trim();
+  const negative = /^\(.*\)$/.test(text);
+  if (negative) {
+    text = text.slice(1, -1);
+  }
+  const percent = text.endsWith('%');
+  if (percent) {
+    text = text.slice(0, -1);
+  }
+  text = text.replace(CURRENCY_SYMBOLS, '').replace(/\s/g, '');
+
+  if (!/\d/.test(text) || !NUMBER_PATTERN.test(text) || /^[+-]?0\d/.test(text)) {
+    return null;
+  }
+
+  const number = parseFloat(text.replace(/,/g, '')) * (negative ? -1 : 1);
+  return percent ? number / 100 : number;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (text === 'true' || text === 'yes') {
+    return true;
+  }
+  if (text === 'false' || text === 'no') {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * Parse ISO dates (with optional time) and US-style m/d/yyyy dates to ISO strings
+ */
+function parseDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  const text = String(value).trim();
+
+  if (ISO_DATE_PATTERN.test(text)) {
+    const date = new Date(text.length === 10 ? `${text}T00:00:00Z` : text);
+    if (Number.isNaN(date.getTime())) {
+      return null;
+    }
+    return text.length === 10 ? text : date.toISOString();
+  }
+
+  const us = text.match(US_DATE_PATTERN);
+  if (us) {
+    const [, month, day, year] = us.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+      return date.toISOString().slice(0, 10);
+    }
+  }
+  return null;
+}
+
+const PARSERS = {
+  integer: value => {
+    const number = parseNumber(value);
+    return Number.isInteger(number) ? number : null;
+  },
+  number: parseNumber,
+  boolean: parseBoolean,
+  date: parseDate
+};
+
+/**
+ * Column type from its values: integer, number, boolean, date or string (nulls are ignored)
+ */
+export function inferColumnType(values) {
+  const present = values.filter(value => !isNull(value));
+  if (present.length === 0) {
+    return 'string';
+  }
+
+  for (const type of ['integer', 'number', 'boolean', 'date']) {
+    if (present.every(value => PARSERS[type](value) !== null)) {
+      return type;
+    }
+  }
+  return 'string';
+}
+
+/**
+ * Convert a cell to its column's type; cells that don't parse become null
+ */
+export function parseValue(value, type) {
+  if (isNull(value)) {
+    return null;
+  }
+  if (PARSERS[type]) {
+    return PARSERS[type](value);
+  }
+  return String(value).trim();
+}
+
+/**
+ * The first row is a header when its cells are unique, non-empty text and none of them looks like data
+ */
+export function detectHeader(rows) {
+  if (rows.length < 2) {
+    return false;
+  }
+
+  const cells = rows[0].filter(cell => !isNull(cell)).map(cell => String(cell).trim());
+  return cells.length > 0
+    && cells.length >= rows[0].length / 2
+    && new Set(cells.map(cell => cell.toLowerCase())).size === cells.length
+    && cells.every(cell => inferColumnType([cell]) === 'string');
+}
+
+/**
+ * Build a typed table from raw rows (arrays of cells): column names from the header row
+ * (or "Column N"), a type per column, and rows as objects keyed by column name
+ */
+export function buildTable(rawRows, options = {}) {
+  const { name = 'Table 1', page, header = detectHeader(rawRows) } = options;
+  const width = Math.max(0, ...rawRows.map(row => row.length));
+  const dataRows = header ? rawRows.slice(1) : rawRows;
+
+  const seen = new Map();
+  const columns = Array.from({ length: width }, (_, i) => {
+    const base = (header && !isNull(rawRows[0][i]) ? String(rawRows[0][i]).trim() : '') || `Column ${i + 1}`;
+    const count = (seen.get(base.toLowerCase()) || 0) + 1;
+    seen.set(base.toLowerCase(), count);
+    return {
+      name: count > 1 ? `${base} (${count})` : base,
+      type: inferColumnType(dataRows.map(row => row[i]))
+    };
+  });
+
+  return {
+    name,
+    ...(page && { page }),
+    header,
+    columns,
+    rowCount: dataRows.length,
+    rows: dataRows.map(row => Object.fromEntries(columns.map((column, i) => [column.name, parseValue(row[i], column.type)])))
+  };
+}
+
+/**
+ * Find tables in PDF pages: runs of at least three consecutive lines that split into the same
+ * number (two or more) of cells. Lines carry `cells` from the PDF extractor.
+ */
+export function findPdfTables(pages) {
+  const tables = [];
+
+  for (const page of pages) {
+    let run = [];
+    const flush = () => {
+      if (run.length >= 3) {
+        tables.push({
+          name: `Page ${page.number} table ${tables.filter(table => table.page === page.number).length + 1}`,
+          page: page.number,
+          rows: run.map(line => line.cells)
+        });
+      }
+      run = [];
+    };
+
+    for (const line of page.lines) {
+      const cellCount = line.cells?.length || 1;
+      if (cellCount < 2 || (run.length > 0 && cellCount !== run[0].cells.length)) {
+        flush();
+      }
+      if (cellCount >= 2) {
+        run.push(line);
+      }
+    }
+    flush();
+  }
+
+  return tables;
+}
+
+function compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null || a === undefined) {
+    return 1;
+  }
+  if (b === null || b === undefined) {
+    return -1;
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Round away floating point noise (0.1 + 0.2) in sums and averages
+function roundResult(value) {
+  return Math.round(value * 1e10) / 1e10;
+}
+
+/**
+ * Run a query (TableQuerySchema) against a table built by buildTable. Arithmetic happens here,
+ * over the typed values, so aggregate answers are exact.
+ */
+export function queryTable(table, query) {
+  const {
+    select,
+    filters = [],
+    groupBy = [],
+    aggregates = [],
+    orderBy = [],
+    limit
+  } = query;
+
+  const columnsByName = new Map(table.columns.map(column => [column.name.toLowerCase(), column]));
+  const column = name => {
+    const match = columnsByName.get(String(name).trim().toLowerCase());
+    if (!match) {
+      throw new TableQueryError(`Unknown column "${name}" in table "${table.name}". Columns: ${table.columns.map(c => c.name).join(', ')}`);
+    }
+    return match;
+  };
+
+  const conditions = filters.map(filter => {
+    const { name, type } = column(filter.column);
+    const parse = value => (typeof value === 'string' ? parseValue(value, type) ?? value : value);
+    const expected = filter.operator === 'in' ? [].concat(filter.value).map(parse) : parse(filter.value);
+    const text = value => String(value ?? '').toLowerCase();
+
+    return row => {
+      const value = row[name];
+      switch (filter.operator) {
+        case '=':
+          return type === 'string' ? text(value) === text(expected) : compareValues(value, expected) === 0;
+        case '!=':
+          return type === 'string' ? text(value) !== text(expected) : compareValues(value, expected) !== 0;
+        case '>':
+          return value !== null && compareValues(value, expected) > 0;
+        case '>=':
+          return value !== null && compareValues(value, expected) >= 0;
+        case '<':
+          return value !== null && compareValues(value, expected) < 0;
+        case '<=':
+          return value !== null && compareValues(value, expected) <= 0;
+        case 'contains':
+          return text(value).includes(text(expected));
+        case 'in':
+          return expected.some(option => (type === 'string' ? text(value) === text(option) : compareValues(value, option) === 0));
+        default:
+          return false;
+      }
+    };
+  });
+  const matched = table.rows.filter(row => conditions.every(condition => condition(row)));
+
+  let columns;
+  let rows;
+
+  if (aggregates.length === 0 && groupBy.length === 0) {
+    columns = (select?.length ? select.map(name => column(name)) : table.columns).map(({ name, type }) => ({ name, type }));
+    rows = matched.map(row => Object.fromEntries(columns.map(({ name }) => [name, row[name]])));
+  } else {
+    const groupColumns = groupBy.map(name => column(name));
+    const calculations = (aggregates.length > 0 ? aggregates : [{ function: 'count' }]).map(aggregate => {
+      const target = aggregate.column ? column(aggregate.column) : null;
+      if (!target && aggregate.function !== 'count') {
+        throw new TableQueryError(`${aggregate.function} needs a column`);
+      }
+      if (['sum', 'avg'].includes(aggregate.function) && !['integer', 'number'].includes(target.type)) {
+        throw new TableQueryError(`Cannot ${aggregate.function} column "${target.name}" of type ${target.type}`);
+      }
+      return {
+        ...aggregate,
+        target,
+        as: aggregate.as || (target ? `${aggregate.function} of ${target.name}` : 'count')
+      };
+    });
+
+    const groups = new Map();
+    for (const row of matched) {
+      const key = JSON.stringify(groupColumns.map(({ name }) => row[name]));
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(row);
+    }
+    // Aggregates over an empty table (or filter) still produce one row
+    if (groups.size === 0 && groupColumns.length === 0) {
+      groups.set('[]', []);
+    }
+
+    columns = [
+      ...groupColumns.map(({ name, type }) => ({ name, type })),
+      ...calculations.map(({ as, function: fn, target }) => ({
+        name: as,
+        type: ['count', 'countDistinct'].includes(fn) ? 'integer' : fn === 'avg' ? 'number' : target.type
+      }))
+    ];
+
+    rows = [...groups.values()].map(groupRows => {
+      const result = Object.fromEntries(groupColumns.map(({ name }) => [name, groupRows[0]?.[name] ?? null]));
+      for (const { function: fn, target, as } of calculations) {
+        const values = target ? groupRows.map(row => row[target.name]).filter(value => value !== null) : groupRows;
+        switch (fn) {
+          case 'count':
+            result[as] = values.length;
+            break;
+          case 'countDistinct':
+            result[as] = new Set(values.map(value => (typeof value === 'string' ? value.toLowerCase() : value))).size;
+            break;
+          case 'sum':
+            result[as] = roundResult(values.reduce((total, value) => total + value, 0));
+            break;
+          case 'avg':
+            result[as] = values.length > 0 ? roundResult(values.reduce((total, value) => total + value, 0) / values.length) : null;
+            break;
+          case 'min':
+            result[as] = values.length > 0 ? [...values].sort(compareValues)[0] : null;
+            break;
+          case 'max':
+            result[as] = values.length > 0 ? [...values].sort(compareValues)[values.length - 1] : null;
+            break;
+        }
+      }
+      return result;
+    });
+  }
+
+  const outputNames = new Map(columns.map(({ name }) => [name.toLowerCase(), name]));
+  for (const { column: name, direction } of [...orderBy].reverse()) {
+    const key = outputNames.get(String(name).trim().toLowerCase());
+    if (!key) {
+      throw new TableQueryError(`Cannot order by "${name}": not a result column. Result columns: ${columns.map(c => c.name).join(', ')}`);
+    }
+    // Stable sorts applied last-key-first give a multi-key ordering
+    rows.sort((a, b) => compareValues(a[key], b[key]) * (direction === 'desc' ? -1 : 1));
+  }
+
+  const rowLimit = Math.min(limit || MAX_RESULT_ROWS, MAX_RESULT_ROWS);
+  return {
+    columns,
+    rows: rows.slice(0, rowLimit),
+    totalRows: rows.length,
+    truncated: rows.length > rowLimit,
+    matchedRows: matched.length
+  };
+}
+
+/**
+ * One line per result row, e.g. "Region: North, sum of Revenue: 2600.5"
+ */
+export function describeQueryResult(result) {
+  if (result.rows.length === 0) {
+    return 'No rows matched the query.';
+  }
+
+  const lines = result.rows.map(row => result.columns.map(({ name }) => `${name}: ${row[name] ?? '—'}`).join(', '));
+  return `${lines.join('\n')}${result.truncated ? `\n(${result.totalRows - result.rows.length} more rows not shown)` : ''}`;
+}
@@ -5,6 +5,7 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
+import cron from 'node-cron';
 
 // Import our agent modules
 import { AgentSDK } from './agents/AgentSDK.js';
@@ -13,8 +14,18 @@ import { FileSearchAgent } from './agents/FileSearchAgent.js';
 import { ComputerUseAgent } from './agents/ComputerUseAgent.js';
 import { OpenAIAgentsSDK } from './agents/OpenAIAgentsSDK.js';
 import { ResponsesAPI } from './api/ResponsesAPI.js';
+import { ChatSessions } from './api/ChatSessions.js';
+import { DocumentCollections, DocumentChat, SEARCH_MODES, MAX_FUZZY_EDITS, resolveRetrievalOptions } from './search/index.js';
+import { extractionCache, hashFile } from './files/ExtractionCache.js';
+import { DATA_TYPES } from './files/entities.js';
+import { SUMMARY_STYLE_NAMES } from './files/summarize.js';
+import { UploadRegistry } from './files/UploadRegistry.js';
 import TextToSpeechAgent from './agents/TextToSpeechAgent.js';
 import TextToImageAgent from './agents/TextToImageAgent.js';
+import { listProviders, getCircuitBreakerStatus, createStructuredCompletion, listModels, config } from './config/openai.js';
+import { jsonSchemaToZod } from './config/schema.js';
+import { usageLedger } from './usage/UsageLedger.js';
+import { requestContextMiddleware } from './usage/requestContext.js';
 
 // Load environment variables
 dotenv.config();
@@ -28,12 +39,14 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   credentials: false
 }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Track the caller's API key and a request ID for usage accounting
+app.use(requestContextMiddleware);
 
 // Initialize server with proper async handling
 async function initializeServer() {
@@ -62,12 +75,14 @@ async function initializeServer() {
       limits: {
         fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760 // 10MB default
       },
+      // Accept every extension the file search agent reads; content is verified after upload
       fileFilter: (req, file, cb) => {
-        console.log(`🔍 File filter check: ${file.mimetype}`);
-        if (file.mimetype === 'application/pdf') {
+        const extension = path.extname(file.originalname).toLowerCase();
+        console.log(`🔍 File filter check: ${extension} (${file.mimetype})`);
+        if (fileSearchAgent.supportedFormats.includes(extension)) {
           cb(null, true);
         } else {
-          cb(new Error(`Invalid file type: ${file.mimetype}. Only PDF files are allowed.`), false);
+          cb(new Error(`Invalid file type: ${extension || file.mimetype}. Supported formats: ${fileSearchAgent.supportedFormats.join(', ')}`), false);
         }
       }
     });
@@ -93,16 +108,78 @@ async function initializeServer() {
     const computerUseAgent = new ComputerUseAgent();
     const openaiAgentsSDK = new OpenAIAgentsSDK();
     const responsesAPI = new ResponsesAPI();
-    const textToSpeechAgent = new TextToSpeechAgent(process.env.OPENAI_API_KEY);
-    const textToImageAgent = new TextToImageAgent(process.env.OPENAI_API_KEY);
+    const chatSessions = new ChatSessions(responsesAPI);
+    const documentCollections = new DocumentCollections(fileSearchAgent);
+    const documentChat = new DocumentChat(fileSearchAgent, responsesAPI);
+    const textToSpeechAgent = new TextToSpeechAgent();
+    const textToImageAgent = new TextToImageAgent();
+    const uploadRegistry = new UploadRegistry({ documentChat, collections: documentCollections });
+    // Request fields naming an upload by ID, and the path field each one fills in
+    const uploadIdFields = [['fileId', 'filePath'], ['fileIdA', 'filePathA'], ['fileIdB', 'filePathB']];
+
+    /**
+     * Let file routes take an upload's `fileId` (`fileIdA`/`fileIdB` for comparisons) instead of its path
+     */
+    const resolveUploadIds = async (req, res, next) => {
+      try {
+        const params = req.method === 'GET' || req.method === 'DELETE' ? req.query : req.body;
+        for (const [idField, pathField] of uploadIdFields) {
+          if (!params?.[idField]) {
+            continue;
+          }
+          const upload = await uploadRegistry.resolve(params[idField]);
+          if (!upload) {
+            return res.status(404).json({ success: false, error: `Upload not found or expired: ${params[idField]}` });
+          }
+          params[pathField] = upload.path;
+          if (idField === 'fileId') {
+            req.upload = upload;
+          }
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+
+    /**
+     * For routes that read a document: a `filePath` (`filePathA`/`filePathB`) must be inside the upload
+     * directory (after resolving symlinks), so server files such as ./data can't be read through them.
+     * Other paths get the same 404 as a missing file. Paths filled in from upload IDs are already uploads.
+     */
+    const requireUploadPath = async (req, res, next) => {
+      try {
+        const params = req.method === 'GET' || req.method === 'DELETE' ? req.query : req.body;
+        for (const [idField, pathField] of uploadIdFields) {
+          if (!params?.[pathField] || params[idField]) {
+            continue;
+          }
+          const uploadRoot = await fs.realpath(uploadDir);
+          const resolved = await fs.realpath(String(params[pathField])).catch(() => null);
+          const relative = resolved && path.relative(uploadRoot, resolved);
+          if (!resolved || !relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+            return res.status(404).json({ success: false, error: 'File not found' });
+          }
+          params[pathField] = resolved;
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
 
     // Health check endpoint for deployment
     app.get('/health', (req, res) => {
+      const circuitBreakers = getCircuitBreakerStatus();
+      const degraded = circuitBreakers.some(breaker => breaker.state !== 'closed');
+
+      // Always 200 so the platform does not restart the service while an upstream API is down
       res.status(200).json({ 
-        status: 'healthy', 
+        status: degraded ? 'degraded' : 'healthy', 
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        version: '1.0.0'
+        version: '1.0.0',
+        circuitBreakers
       });
     });
 
@@ -113,18 +190,56 @@ async function initializeServer() {
         version: '1.0.0',
         endpoints: {
           'POST /api/chat': 'General chat with AI',
+          'POST /api/chat/stream': 'Streaming chat with AI (Server-Sent Events)',
+          'POST /api/chat/sessions': 'Create a multi-turn chat session',
+          'GET /api/chat/sessions': 'List chat sessions',
+          'GET /api/chat/sessions/:id': 'Get a chat session with its history',
+          'POST /api/chat/sessions/:id/messages': 'Send a message in a chat session',
+          'DELETE /api/chat/sessions/:id': 'Delete a chat session',
+          'POST /api/extract': 'Extract structured data from text using a JSON schema',
           'POST /api/web-search': 'Web search capabilities',
-          'POST /api/file-upload': 'Upload and analyze files',
-          'POST /api/file-search': 'Search within uploaded files',
+          'POST /api/file-upload': 'Upload and analyze one or more files (PDF, Word, Excel, text, CSV, JSON)',
+          'POST /api/file-search': 'Search within uploaded files (literal, phrase, regex or fuzzy mode)',
+          'GET /api/files': 'List uploaded files with their IDs and expiry times',
+          'GET /api/files/:id': 'Get an uploaded file\'s details',
+          'DELETE /api/files/:id': 'Delete an uploaded file and its cached extraction',
+          'GET /api/file-cache': 'Extraction cache size and hit rate',
+          'DELETE /api/file-cache': 'Clear the extraction cache',
+          'POST /api/file-query': 'Answer questions about spreadsheet, CSV and PDF tables with computed results',
+          'GET /api/file-redacted': 'Download the redacted text of an upload (?fileId=, &format=json for the redaction report)',
+          'POST /api/file-compare': 'Compare two versions of a document: section-aligned diff and summary of material changes',
+          'POST /api/file-summarize': 'Summarize a whole document as an executive summary, bullet outline or per-section summaries',
+          'POST /api/file-extract': 'Extract dates, phone numbers, amounts and other data types or named entities from a file, normalized and located',
           'POST /api/chat-pdf': 'Chat with PDF documents for summaries and Q&A',
+          'GET /api/chat-pdf/history': 'Get the conversation about a document (?fileId= or ?filePath=)',
+          'DELETE /api/chat-pdf/history': 'Start a new conversation about a document (?fileId= or ?filePath=)',
+          'POST /api/collections': 'Create a named document collection',
+          'GET /api/collections': 'List document collections',
+          'GET /api/collections/:id': 'Get a collection with its files',
+          'PATCH /api/collections/:id': 'Rename a collection or change its description',
+          'DELETE /api/collections/:id': 'Delete a collection',
+          'POST /api/collections/:id/files': 'Add files to a collection (multipart "files" or JSON fileIds)',
+          'DELETE /api/collections/:id/files/:fileId': 'Remove a file from a collection',
+          'POST /api/collections/:id/search': 'Search across every file in a collection',
+          'POST /api/collections/:id/ask': 'Ask a question across a collection, with file and chunk citations',
           'POST /api/computer-use': 'Computer automation tasks',
           'POST /api/text-to-speech': 'Convert text to speech audio 🗣️',
           'GET /api/text-to-speech/voices': 'Get available TTS voices',
           'POST /api/text-to-image': 'Generate images from text descriptions 🖼️',
           'GET /api/text-to-image/models': 'Get available image generation models',
+          'GET /api/providers': 'List configured LLM providers and their capabilities',
+          'GET /api/models': 'List registered models with context windows, output limits, pricing and capabilities',
+          'GET /api/usage': 'Token, character and image usage with costs (filter by from/to, group by agent/model/apiKey/day)',
           'GET /api/agents': 'List available agents',
           'POST /api/agents/create': 'Create a custom agent',
-          'POST /api/agents/:id/execute': 'Execute an agent task',
+          'GET /api/agents/status': 'Get Agent SDK status',
+          'GET /api/agents/:id': 'Get agent details',
+          'PATCH /api/agents/:id': 'Update an agent',
+          'DELETE /api/agents/:id': 'Delete an agent',
+          'POST /api/agents/:id/execute': 'Execute an agent task (returns the tool-calling step trace)',
+          'POST /api/agents/:from/message/:to': 'Send a message from one agent to another',
+          'GET /api/agents/:id/conversations': 'List an agent\'s conversations',
+          'GET /api/conversations/:id': 'Get a conversation with its message history',
           'POST /api/openai-agents/run': 'Run OpenAI Agents SDK agents',
           'POST /api/openai-agents/create': 'Create custom OpenAI agents',
           'GET /api/openai-agents': 'List OpenAI agents',
@@ -138,7 +253,7 @@ async function initializeServer() {
     // Chat endpoint using Responses API
     app.post('/api/chat', async (req, res) => {
       try {
-        const { message, model, temperature, max_tokens } = req.body;
+        const { message, model, temperature, max_tokens, provider } = req.body;
         
         if (!message) {
           return res.status(400).json({ error: 'Message is required' });
@@ -146,6 +261,7 @@ async function initializeServer() {
 
         const response = await responsesAPI.chat({
           message,
+          provider,
           model: model || process.env.DEFAULT_MODEL,
           temperature: temperature || parseFloat(process.env.TEMPERATURE),
           max_tokens: max_tokens || parseInt(process.env.MAX_TOKENS)
@@ -158,6 +274,173 @@ async function initializeServer() {
       }
     });
 
+    // Streaming chat endpoint (Server-Sent Events)
+    app.post('/api/chat/stream', async (req, res) => {
+      const { message, model, temperature, max_tokens, systemPrompt, provider } = req.body;
+
+      if (!message) {
+        return res.status(400).json({ error: 'Message is required' });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+
+      const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      // Abort the upstream OpenAI request if the client goes away
+      const abortController = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          console.log('🔌 Chat stream client disconnected, aborting upstream request');
+          abortController.abort();
+        }
+      });
+
+      try {
+        const stream = responsesAPI.streamChat({
+          message,
+          model: model || process.env.DEFAULT_MODEL,
+          temperature: temperature || parseFloat(process.env.TEMPERATURE),
+          max_tokens: max_tokens || parseInt(process.env.MAX_TOKENS),
+          systemPrompt,
+          provider,
+          signal: abortController.signal
+        });
+
+        for await (const chunk of stream) {
+          if (abortController.signal.aborted) {
+            break;
+          }
+
+          if (!chunk.success) {
+            sendEvent('error', { error: chunk.error });
+          } else if (chunk.done) {
+            sendEvent('done', { usage: chunk.usage, model: chunk.model, created: chunk.created });
+          } else {
+            sendEvent('chunk', { content: chunk.content });
+          }
+        }
+      } catch (error) {
+        console.error('Chat stream error:', error);
+        if (!abortController.signal.aborted) {
+          sendEvent('error', { error: error.message });
+        }
+      } finally {
+        res.end();
+      }
+    });
+
+    // Multi-turn chat session endpoints
+    app.post('/api/chat/sessions', (req, res) => {
+      try {
+        const { title, systemPrompt, model, temperature, max_tokens, historyStrategy, provider } = req.body;
+
+        const result = chatSessions.createSession({
+          title,
+          provider,
+          systemPrompt,
+          model: model || process.env.DEFAULT_MODEL,
+          temperature,
+          max_tokens,
+          historyStrategy
+        });
+
+        res.status(result.success ? 201 : 400).json(result);
+      } catch (error) {
+        console.error('Create chat session error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.get('/api/chat/sessions', (req, res) => {
+      res.json(chatSessions.listSessions());
+    });
+
+    app.get('/api/chat/sessions/:id', (req, res) => {
+      const result = chatSessions.getSession(req.params.id);
+      res.status(result.success ? 200 : 404).json(result);
+    });
+
+    app.delete('/api/chat/sessions/:id', (req, res) => {
+      const result = chatSessions.deleteSession(req.params.id);
+      res.status(result.success ? 200 : 404).json(result);
+    });
+
+    app.post('/api/chat/sessions/:id/messages', async (req, res) => {
+      try {
+        const { message } = req.body;
+
+        if (!message) {
+          return res.status(400).json({ error: 'Message is required' });
+        }
+
+        const result = await chatSessions.sendMessage(req.params.id, message);
+
+        if (!result.success) {
+          return res.status(result.error === 'Session not found' ? 404 : 500).json(result);
+        }
+
+        res.json(result);
+      } catch (error) {
+        console.error('Chat session message error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    // Structured extraction endpoint: validates model output against a caller-supplied JSON schema
+    app.post('/api/extract', async (req, res) => {
+      try {
+        const { schema, text, instructions, model, provider } = req.body;
+
+        if (!schema || !text) {
+          return res.status(400).json({ success: false, error: 'Schema and text are required' });
+        }
+
+        let zodSchema;
+        try {
+          zodSchema = jsonSchemaToZod(schema);
+        } catch (error) {
+          return res.status(error.status || 400).json({ success: false, error: 'Invalid schema', details: error.message });
+        }
+
+        const result = await createStructuredCompletion([
+          {
+            role: 'system',
+            content: 'You extract structured data from text. Only use information present in the text; use null or omit fields that are not mentioned.'
+          },
+          {
+            role: 'user',
+            content: `${instructions ? `${instructions}\n\n` : ''}Text:\n${text}`
+          }
+        ], zodSchema, {
+          jsonSchema: schema,
+          model: model || process.env.DEFAULT_MODEL,
+          provider,
+          agent: 'StructuredExtraction',
+          temperature: 0
+        });
+
+        res.json({
+          success: true,
+          ...result
+        });
+      } catch (error) {
+        console.error('Structured extraction error:', error);
+        // Unknown models and requests the provider rejected keep their 4xx status
+        const status = error.code === 'STRUCTURED_OUTPUT_INVALID' ? 422 : error.status >= 400 && error.status < 600 ? error.status : 500;
+        res.status(status).json({
+          success: false,
+          error: status === 422 ? 'Model output did not match the schema' : status < 500 ? 'Invalid request' : 'Internal server error',
+          details: error.message
+        });
+      }
+    });
+
     // Web search endpoint
     app.post('/api/web-search', async (req, res) => {
       try {
@@ -180,8 +463,8 @@ async function initializeServer() {
       console.log(`📥 File upload request received`);
       console.log(`📋 Headers:`, req.headers);
       
-      // Use multer middleware
-      upload.single('file')(req, res, async (err) => {
+      // Use multer middleware (several files may be sent in the "file" field)
+      upload.array('file', parseInt(process.env.MAX_UPLOAD_FILES) || 10)(req, res, async (err) => {
         if (err) {
           console.error('❌ Multer error:', err);
           return res.status(400).json({ 
@@ -192,49 +475,99 @@ async function initializeServer() {
         }
 
         try {
-          if (!req.file) {
+          if (!req.files || req.files.length === 0) {
             console.log('❌ No file in request');
             console.log('Body:', req.body);
             return res.status(400).json({ 
               success: false,
               error: 'No file uploaded',
-              details: 'Please select a PDF file to upload'
+              details: `Please select a file to upload (${fileSearchAgent.supportedFormats.join(', ')})`
             });
           }
 
-          console.log(`📄 Processing file: ${req.file.originalname}`);
-          console.log(`📊 File details:`, {
-            name: req.file.originalname,
-            size: req.file.size,
-            type: req.file.mimetype,
-            path: req.file.path
-          });
-          
-          // Validate file type
-          if (req.file.mimetype !== 'application/pdf') {
-            console.log(`❌ Invalid file type: ${req.file.mimetype}`);
+          const { summaryStyle, ttlHours } = req.body;
+          if (summaryStyle && !SUMMARY_STYLE_NAMES.includes(summaryStyle)) {
+            await Promise.all(req.files.map(file => fs.remove(file.path)));
             return res.status(400).json({
               success: false,
-              error: 'Invalid file type',
-              details: 'Only PDF files are allowed'
+              error: 'Invalid summary style',
+              details: `Use one of: ${SUMMARY_STYLE_NAMES.join(', ')}`
             });
           }
-          
-          const analysis = await fileSearchAgent.analyzeFile(req.file.path, req.file.originalname);
-          
-          console.log(`✅ Analysis completed for: ${req.file.originalname}`);
-          
-          res.json({
-            success: true,
-            message: 'File uploaded and analyzed successfully',
-            file: {
-              originalName: req.file.originalname,
-              path: req.file.path,
-              size: req.file.size,
-              mimetype: req.file.mimetype
-            },
-            analysis
-          });
+          try {
+            uploadRegistry.resolveTtl(ttlHours);
+          } catch (error) {
+            await Promise.all(req.files.map(file => fs.remove(file.path)));
+            return res.status(error.status || 400).json({ success: false, error: 'Invalid TTL', details: error.message });
+          }
+
+          const results = [];
+          for (const file of req.files) {
+            console.log(`📄 Processing file: ${file.originalname}`);
+            console.log(`📊 File details:`, {
+              name: file.originalname,
+              size: file.size,
+              type: file.mimetype,
+              path: file.path
+            });
+
+            const fileInfo = {
+              originalName: file.originalname,
+              path: file.path,
+              size: file.size,
+              mimetype: file.mimetype
+            };
+
+            // Validate the real content type; the client's mimetype and extension can't be trusted
+            const fileType = await fileSearchAgent.verifyFile(file.path, path.extname(file.originalname).toLowerCase());
+            if (!fileType.valid) {
+              console.log(`❌ Invalid file content: ${file.originalname} (${fileType.error})`);
+              await fs.remove(file.path);
+              results.push({
+                success: false,
+                error: 'Invalid file type',
+                details: fileType.error,
+                file: { ...fileInfo, path: null, detectedFormat: fileType.format }
+              });
+              continue;
+            }
+
+            const analysis = await fileSearchAgent.analyzeFile(file.path, file.originalname, { summaryStyle });
+            console.log(`✅ Analysis completed for: ${file.originalname}`);
+
+            // Kept until its TTL passes; later requests can refer to it by ID
+            const registered = await uploadRegistry.register({
+              path: file.path,
+              name: file.originalname,
+              size: file.size,
+              mimetype: file.mimetype,
+              format: fileType.format,
+              hash: analysis.cache?.hash
+            }, { ttlHours });
+
+            results.push({
+              success: analysis.success,
+              file: { ...fileInfo, id: registered.id, expiresAt: registered.expiresAt, detectedFormat: fileType.format },
+              analysis
+            });
+          }
+
+          const succeeded = results.filter(result => result.success).length;
+          const response = {
+            success: succeeded > 0,
+            message: `${succeeded} of ${results.length} file(s) uploaded and analyzed successfully`,
+            files: results
+          };
+
+          // Single uploads keep the original response shape
+          if (results.length === 1) {
+            Object.assign(response, results[0]);
+            if (results[0].success) {
+              response.message = 'File uploaded and analyzed successfully';
+            }
+          }
+
+          res.status(succeeded > 0 ? 200 : 400).json(response);
           
         } catch (error) {
           console.error('❌ Analysis error:', error);
@@ -244,35 +577,397 @@ async function initializeServer() {
             success: false,
             error: 'File analysis failed', 
             details: error.message,
-            file: req.file ? {
-              originalName: req.file.originalname,
-              path: req.file.path,
-              size: req.file.size
-            } : null
+            files: (req.files || []).map(file => ({
+              originalName: file.originalname,
+              path: file.path,
+              size: file.size
+            }))
           });
         }
       });
     });
 
     // File search endpoint
-    app.post('/api/file-search', async (req, res) => {
+    app.post('/api/file-search', resolveUploadIds, requireUploadPath, async (req, res) => {
       try {
-        const { query, filePath } = req.body;
+        const { query, filePath, topK, semanticWeight, mode, caseSensitive, wholeWord, maxResults, maxEdits } = req.body;
         
         if (!query || !filePath) {
           return res.status(400).json({ error: 'Query and file path are required' });
         }
+        if (mode && !SEARCH_MODES.includes(mode)) {
+          return res.status(400).json({ error: `Invalid search mode. Use one of: ${SEARCH_MODES.join(', ')}` });
+        }
+        if (maxEdits !== undefined && (!Number.isInteger(maxEdits) || maxEdits < 0 || maxEdits > MAX_FUZZY_EDITS)) {
+          return res.status(400).json({ error: `maxEdits must be a whole number from 0 to ${MAX_FUZZY_EDITS}` });
+        }
+        let retrievalOptions;
+        try {
+          retrievalOptions = resolveRetrievalOptions({ topK, semanticWeight });
+        } catch (error) {
+          return res.status(error.status || 400).json({ error: error.message });
+        }
 
-        const results = await fileSearchAgent.searchInFile(filePath, query);
-        res.json(results);
+        const results = await fileSearchAgent.searchInFile(filePath, query, {
+          ...retrievalOptions,
+          mode,
+          caseSensitive,
+          wholeWord,
+          maxResults,
+          maxEdits
+        });
+        // Invalid or timed-out regexes are the client's to fix
+        res.status(['INVALID_SEARCH_QUERY', 'SEARCH_TIMEOUT'].includes(results.code) ? 400 : 200).json(results);
       } catch (error) {
         console.error('File search error:', error);
         res.status(500).json({ error: 'Internal server error', details: error.message });
       }
     });
 
+    // Uploaded file endpoints
+    app.get('/api/files', async (req, res) => {
+      try {
+        res.json(await uploadRegistry.listFiles());
+      } catch (error) {
+        console.error('List uploads error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.get('/api/files/:id', async (req, res) => {
+      try {
+        const result = await uploadRegistry.getFile(req.params.id);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('Get upload error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.delete('/api/files/:id', async (req, res) => {
+      try {
+        const result = await uploadRegistry.deleteFile(req.params.id);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('Delete upload error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    // Extraction cache endpoints
+    app.get('/api/file-cache', async (req, res) => {
+      try {
+        res.json({ success: true, cache: await extractionCache.getStats() });
+      } catch (error) {
+        console.error('Extraction cache error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.delete('/api/file-cache', async (req, res) => {
+      try {
+        await extractionCache.clear();
+        res.json({ success: true, message: 'Extraction cache cleared' });
+      } catch (error) {
+        console.error('Extraction cache error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    // Table query endpoint (spreadsheets, CSV files and tables found in PDFs)
+    app.post('/api/file-query', resolveUploadIds, requireUploadPath, async (req, res) => {
+      try {
+        const { filePath, question, query, table, model } = req.body;
+
+        if (!filePath || (!question && !query)) {
+          return res.status(400).json({ success: false, error: 'File path and a question or query are required' });
+        }
+        if (!await fs.pathExists(filePath)) {
+          return res.status(404).json({ success: false, error: 'File not found' });
+        }
+
+        const result = await fileSearchAgent.queryFile(filePath, { question, query, table, model });
+        const status = { INVALID_TABLE_QUERY: 400, STRUCTURED_OUTPUT_INVALID: 422 }[result.code];
+        res.status(result.success ? 200 : status || 500).json(result);
+      } catch (error) {
+        console.error('File query error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    // Redacted copy of a document, as its text is sent to models
+    app.get('/api/file-redacted', resolveUploadIds, requireUploadPath, async (req, res) => {
+      try {
+        const { filePath, format } = req.query;
+
+        if (!filePath) {
+          return res.status(400).json({ success: false, error: 'fileId or filePath is required' });
+        }
+        if (!await fs.pathExists(filePath)) {
+          return res.status(404).json({ success: false, error: 'File not found' });
+        }
+        if (!fileSearchAgent.redactor.enabled) {
+          return res.status(409).json({ success: false, error: 'Redaction is disabled (REDACT_PII=false)' });
+        }
+
+        const fileName = req.upload?.name || path.basename(filePath);
+        const result = await fileSearchAgent.redactFile(filePath, fileName);
+        if (!result.success || format === 'json') {
+          return res.status(result.success ? 200 : 500).json(result);
+        }
+
+        res.set('X-Redaction-Count', String(result.redaction.total));
+        res.attachment(`${path.parse(fileName).name}.redacted.txt`);
+        res.type('text/plain').send(result.content);
+      } catch (error) {
+        console.error('File redaction error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    // Document comparison endpoint
+    app.post('/api/file-compare', resolveUploadIds, requireUploadPath, async (req, res) => {
+      try {
+        const { filePathA, filePathB, summarize, model } = req.body;
+
+        if (!filePathA || !filePathB) {
+          return res.status(400).json({ success: false, error: 'filePathA and filePathB are required' });
+        }
+        for (const filePath of [filePathA, filePathB]) {
+          if (!await fs.pathExists(filePath)) {
+            return res.status(404).json({ success: false, error: `File not found: ${filePath}` });
+          }
+        }
+
+        const result = await fileSearchAgent.compareFiles(filePathA, filePathB, { summarize: summarize !== false, model });
+        res.status(result.success ? 200 : result.code === 'UNSUPPORTED_FILE' ? 415 : 500).json(result);
+      } catch (error) {
+        console.error('File comparison error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    // Whole-document summary endpoint
+    app.post('/api/file-summarize', resolveUploadIds, requireUploadPath, async (req, res) => {
+      try {
+        const { filePath, style, model } = req.body;
+
+        if (!filePath) {
+          return res.status(400).json({ success: false, error: 'File path is required' });
+        }
+        if (style && !SUMMARY_STYLE_NAMES.includes(style)) {
+          return res.status(400).json({ success: false, error: `Invalid summary style. Use one of: ${SUMMARY_STYLE_NAMES.join(', ')}` });
+        }
+        if (!await fs.pathExists(filePath)) {
+          return res.status(404).json({ success: false, error: 'File not found' });
+        }
+
+        const result = await fileSearchAgent.summarizeFile(filePath, { style, model });
+        res.status(result.success ? 200 : 500).json(result);
+      } catch (error) {
+        console.error('File summary error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    // Data and entity extraction endpoint
+    app.post('/api/file-extract', resolveUploadIds, requireUploadPath, async (req, res) => {
+      try {
+        const { filePath, types, dayFirst, defaultCountryCode, defaultCurrency, model } = req.body;
+
+        if (!filePath || !types || (Array.isArray(types) && types.length === 0)) {
+          return res.status(400).json({ success: false, error: 'fileId or filePath, and data types, are required' });
+        }
+        const unsupported = [types].flat().filter(type => !DATA_TYPES.includes(type));
+        if (unsupported.length > 0) {
+          return res.status(400).json({ success: false, error: `Unsupported data type: ${unsupported.join(', ')}. Use: ${DATA_TYPES.join(', ')}` });
+        }
+        if (!await fs.pathExists(filePath)) {
+          return res.status(404).json({ success: false, error: 'File not found' });
+        }
+
+        const result = await fileSearchAgent.extractSpecificData(filePath, types, {
+          dayFirst: Boolean(dayFirst),
+          defaultCountryCode: defaultCountryCode && String(defaultCountryCode).replace(/^\+/, ''),
+          defaultCurrency: defaultCurrency?.toUpperCase(),
+          model
+        });
+        res.status(result.success ? 200 : result.code === 'UNSUPPORTED_FILE' ? 415 : 500).json(result);
+      } catch (error) {
+        console.error('File extraction error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    // Document collection endpoints
+    app.post('/api/collections', async (req, res) => {
+      try {
+        const { name, description } = req.body;
+        const result = await documentCollections.createCollection({ name, description });
+        res.status(result.success ? 201 : 400).json(result);
+      } catch (error) {
+        console.error('Create collection error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.get('/api/collections', async (req, res) => {
+      try {
+        res.json(await documentCollections.listCollections());
+      } catch (error) {
+        console.error('List collections error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.get('/api/collections/:id', async (req, res) => {
+      try {
+        const result = await documentCollections.getCollection(req.params.id);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('Get collection error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.patch('/api/collections/:id', async (req, res) => {
+      try {
+        const result = await documentCollections.updateCollection(req.params.id, req.body || {});
+        res.status(result.success ? 200 : result.error === 'Collection not found' ? 404 : 400).json(result);
+      } catch (error) {
+        console.error('Update collection error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.delete('/api/collections/:id', async (req, res) => {
+      try {
+        const result = await documentCollections.deleteCollection(req.params.id);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('Delete collection error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.post('/api/collections/:id/files', (req, res) => {
+      upload.array('files')(req, res, async (err) => {
+        if (err) {
+          return res.status(400).json({ success: false, error: 'File upload error', details: err.message });
+        }
+
+        try {
+          const { fileIds = [], ttlHours } = req.body;
+          if (!req.files?.length && (!Array.isArray(fileIds) || fileIds.length === 0)) {
+            return res.status(400).json({ success: false, error: 'Upload files in the "files" field or pass fileIds' });
+          }
+          try {
+            uploadRegistry.resolveTtl(ttlHours);
+          } catch (error) {
+            await Promise.all((req.files || []).map(file => fs.remove(file.path)));
+            return res.status(error.status || 400).json({ success: false, error: 'Invalid TTL', details: error.message });
+          }
+
+          // Files already uploaded via /api/file-upload, by ID
+          const files = [];
+          for (const fileId of req.files?.length ? [] : fileIds) {
+            const upload = await uploadRegistry.resolve(fileId);
+            if (!upload) {
+              return res.status(404).json({ success: false, error: `Upload not found or expired: ${fileId}` });
+            }
+            files.push({ path: upload.path, name: upload.name, uploadId: upload.id, expiresAt: upload.expiresAt });
+          }
+
+          // Multipart uploads are registered like any other upload, so they expire and leave the collection too
+          const rejected = [];
+          for (const file of req.files || []) {
+            const fileType = await fileSearchAgent.verifyFile(file.path, path.extname(file.originalname).toLowerCase());
+            if (!fileType.valid) {
+              await fs.remove(file.path);
+              rejected.push({ name: file.originalname, error: fileType.error });
+              continue;
+            }
+            const registered = await uploadRegistry.register({
+              path: file.path,
+              name: file.originalname,
+              size: file.size,
+              mimetype: file.mimetype,
+              format: fileType.format,
+              hash: await hashFile(file.path)
+            }, { ttlHours });
+            files.push({ path: file.path, name: file.originalname, uploadId: registered.id, expiresAt: registered.expiresAt });
+          }
+
+          const result = await documentCollections.addFiles(req.params.id, files);
+          if (result.error === 'Collection not found') {
+            return res.status(404).json(result);
+          }
+          result.failed.unshift(...rejected);
+          result.success = result.failed.length === 0;
+          res.status(result.added.length > 0 ? 201 : 400).json(result);
+        } catch (error) {
+          console.error('Add collection files error:', error);
+          res.status(500).json({ error: 'Internal server error', details: error.message });
+        }
+      });
+    });
+
+    app.delete('/api/collections/:id/files/:fileId', async (req, res) => {
+      try {
+        const result = await documentCollections.removeFile(req.params.id, req.params.fileId);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('Remove collection file error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.post('/api/collections/:id/search', async (req, res) => {
+      try {
+        const { query, topK, semanticWeight } = req.body;
+
+        if (!query) {
+          return res.status(400).json({ error: 'Query is required' });
+        }
+        let retrievalOptions;
+        try {
+          retrievalOptions = resolveRetrievalOptions({ topK, semanticWeight });
+        } catch (error) {
+          return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        const result = await documentCollections.search(req.params.id, query, retrievalOptions);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('Collection search error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.post('/api/collections/:id/ask', async (req, res) => {
+      try {
+        const { question, topK } = req.body;
+
+        if (!question) {
+          return res.status(400).json({ error: 'Question is required' });
+        }
+        let retrievalOptions;
+        try {
+          retrievalOptions = resolveRetrievalOptions({ topK });
+        } catch (error) {
+          return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        const result = await documentCollections.ask(req.params.id, question, retrievalOptions);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('Collection question error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
     // PDF Chat endpoint - for chat-pdf.html page
-    app.post('/api/chat-pdf', async (req, res) => {
+    app.post('/api/chat-pdf', resolveUploadIds, requireUploadPath, async (req, res) => {
       try {
         const { message, filePath, fileName } = req.body;
         
@@ -285,64 +980,32 @@ async function initializeServer() {
           return res.status(404).json({ error: 'File not found' });
         }
 
-        // Read and analyze the PDF content
-        const fileAnalysis = await fileSearchAgent.analyzeFile(filePath, fileName || path.basename(filePath));
-        
-        if (!fileAnalysis.success) {
-          return res.status(500).json({ error: 'Failed to analyze PDF', details: fileAnalysis.error });
-        }
-
-        // Create a context-aware prompt for PDF chat
-        const systemPrompt = `You are an AI assistant specialized in analyzing and discussing PDF documents. 
-        You have access to the full content of a PDF document titled "${fileName || 'Document'}".
-        
-        Document Summary:
-        - File: ${fileName || 'Document'}
-        - Pages: ${fileAnalysis.metadata?.pages || 'Unknown'}
-        - Word Count: ${fileAnalysis.content?.wordCount || 'Unknown'}
-        
-        The user is asking about this document. Please provide helpful, accurate responses based on the document content.
-        If the user asks for a summary, provide a comprehensive summary of the key points.
-        If they ask specific questions, search through the content to provide accurate answers.
-        
-        Document Content Preview:
-        ${fileAnalysis.content?.text?.substring(0, 3000) || 'Content not available'}...`;
-
-        // Generate AI response using the document context
+        // The document is ingested once; each question is answered from the passages relevant to it
         console.log(`🤖 Generating AI response for: "${message}"`);
-        
-        const aiResponse = await responsesAPI.chat({
-          message: `User Question: ${message}\n\nPlease answer based on the PDF document content provided in the system context.`,
-          systemPrompt: systemPrompt,
-          model: process.env.DEFAULT_MODEL || 'gpt-3.5-turbo',
-          temperature: 0.7,
-          max_tokens: 1000
+        const chat = await documentChat.ask(filePath, message, {
+          fileName: fileName || req.upload?.name || path.basename(filePath),
+          model: process.env.DEFAULT_MODEL || 'gpt-3.5-turbo'
         });
 
-        console.log(`🔍 AI Response:`, aiResponse);
-        
-        // Extract the response correctly
-        let responseText = 'Sorry, I could not generate a response.';
-        if (aiResponse.success && aiResponse.response) {
-          responseText = aiResponse.response;
-        } else if (aiResponse.message) {
-          responseText = aiResponse.message;
-        } else if (aiResponse.content) {
-          responseText = aiResponse.content;
-        } else {
-          console.error('❌ No valid response found in:', aiResponse);
+        if (!chat.success) {
+          return res.status(500).json({ error: 'Failed to generate a response', details: chat.error });
         }
 
         res.json({
           success: true,
-          response: responseText,
+          response: chat.response,
+          // Pages cited in the answer, with #page=N fragments for deep links into the PDF
+          pages: chat.pages,
+          sources: chat.sources,
           file: {
             name: fileName,
             path: filePath,
-            pages: fileAnalysis.metadata?.pages,
-            wordCount: fileAnalysis.content?.wordCount
+            pages: chat.document.pages,
+            wordCount: chat.document.wordCount
           },
-          aiResponseDebug: aiResponse, // Add this for debugging
+          cached: chat.cached,
+          historyLength: chat.historyLength,
+          usage: chat.usage,
           timestamp: new Date().toISOString()
         });
 
@@ -367,6 +1030,47 @@ async function initializeServer() {
       }
     });
 
+    app.get('/api/chat-pdf/history', resolveUploadIds, requireUploadPath, (req, res) => {
+      try {
+        const { filePath } = req.query;
+
+        if (!filePath) {
+          return res.status(400).json({ success: false, error: 'fileId or filePath is required' });
+        }
+
+        const history = documentChat.getHistory(filePath);
+        res.json({
+          success: true,
+          // Clients that sent an ID don't need the server path
+          ...(req.upload ? { fileId: req.upload.id } : { filePath }),
+          history,
+          total: history.length
+        });
+      } catch (error) {
+        console.error('PDF chat history error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.delete('/api/chat-pdf/history', resolveUploadIds, requireUploadPath, (req, res) => {
+      try {
+        const { filePath } = req.query;
+
+        if (!filePath) {
+          return res.status(400).json({ success: false, error: 'fileId or filePath is required' });
+        }
+
+        if (!documentChat.clearHistory(filePath)) {
+          return res.status(404).json({ success: false, error: 'No conversation for this document' });
+        }
+
+        res.json({ success: true, message: 'Conversation cleared' });
+      } catch (error) {
+        console.error('PDF chat history error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
     // Computer use endpoint
     app.post('/api/computer-use', async (req, res) => {
       try {
@@ -384,15 +1088,68 @@ async function initializeServer() {
       }
     });
 
+    // Model registry endpoint
+    app.get('/api/models', (req, res) => {
+      try {
+        const { type } = req.query;
+        const models = listModels(type);
+
+        res.json({
+          success: true,
+          defaultModel: config.model,
+          models,
+          total: models.length
+        });
+      } catch (error) {
+        console.error('List models error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    // LLM providers endpoint
+    app.get('/api/providers', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          providers: listProviders()
+        });
+      } catch (error) {
+        console.error('List providers error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    // Usage and cost accounting endpoint
+    app.get('/api/usage', async (req, res) => {
+      try {
+        const { from, to, groupBy, agent, model, apiKey, type } = req.query;
+        const usage = await usageLedger.query({ from, to, groupBy, agent, model, apiKey, type });
+
+        res.json({
+          success: true,
+          currency: 'USD',
+          ...usage
+        });
+      } catch (error) {
+        console.error('Usage query error:', error);
+        res.status(400).json({ success: false, error: 'Invalid usage query', details: error.message });
+      }
+    });
+
     // Agents management endpoints
-    app.get('/api/agents', (req, res) => {
-      const agents = agentSDK.listAgents();
-      res.json(agents);
+    app.get('/api/agents', async (req, res) => {
+      try {
+        const agents = await agentSDK.listAgents();
+        res.json(agents);
+      } catch (error) {
+        console.error('List agents error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
     });
 
     app.post('/api/agents/create', async (req, res) => {
       try {
-        const { name, description, capabilities, systemPrompt } = req.body;
+        const { name, description, capabilities, systemPrompt, tools, maxSteps, provider, model } = req.body;
         
         if (!name || !capabilities) {
           return res.status(400).json({ error: 'Name and capabilities are required' });
@@ -402,26 +1159,118 @@ async function initializeServer() {
           name,
           description,
           capabilities,
-          systemPrompt
+          systemPrompt,
+          tools,
+          maxSteps,
+          provider,
+          model
         });
 
-        res.json(agent);
+        const status = { INVALID_AGENT_CONFIG: 400, UNKNOWN_MODEL: 400 }[agent.code];
+        res.status(agent.success ? 200 : status || 500).json(agent);
       } catch (error) {
         console.error('Agent creation error:', error);
         res.status(500).json({ error: 'Internal server error', details: error.message });
       }
     });
 
+    // Registered before /api/agents/:id so "status" is not treated as an agent ID
+    app.get('/api/agents/status', async (req, res) => {
+      try {
+        const status = await agentSDK.getStatus();
+        res.json(status);
+      } catch (error) {
+        console.error('Agent status error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.get('/api/agents/:id', async (req, res) => {
+      try {
+        const result = await agentSDK.getAgent(req.params.id);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('Get agent error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.patch('/api/agents/:id', async (req, res) => {
+      try {
+        const updates = req.body || {};
+
+        if (Object.keys(updates).length === 0) {
+          return res.status(400).json({ error: 'At least one field to update is required' });
+        }
+
+        // Invalid updates are a 400; otherwise the agent doesn't exist
+        const result = await agentSDK.updateAgent(req.params.id, updates);
+        const status = { INVALID_AGENT_CONFIG: 400, UNKNOWN_MODEL: 400 }[result.code];
+        res.status(result.success ? 200 : status || 404).json(result);
+      } catch (error) {
+        console.error('Update agent error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.delete('/api/agents/:id', async (req, res) => {
+      try {
+        const result = await agentSDK.deleteAgent(req.params.id);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('Delete agent error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.get('/api/agents/:id/conversations', async (req, res) => {
+      try {
+        const result = await agentSDK.listConversations(req.params.id);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('List conversations error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.get('/api/conversations/:id', async (req, res) => {
+      try {
+        const result = await agentSDK.getConversation(req.params.id);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('Get conversation error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
+    app.post('/api/agents/:from/message/:to', async (req, res) => {
+      try {
+        const { from, to } = req.params;
+        const { message, context } = req.body;
+
+        if (!message) {
+          return res.status(400).json({ error: 'Message is required' });
+        }
+
+        const result = await agentSDK.agentCommunication(from, to, message, context);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        console.error('Agent communication error:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+      }
+    });
+
     app.post('/api/agents/:id/execute', async (req, res) => {
       try {
         const { id } = req.params;
-        const { task, context } = req.body;
+        const { task, context = {}, maxSteps } = req.body;
         
         if (!task) {
           return res.status(400).json({ error: 'Task is required' });
         }
 
-        const result = await agentSDK.executeAgent(id, task, context);
+        // The result includes the full step trace (tool calls and final answer)
+        const result = await agentSDK.executeAgent(id, task, maxSteps ? { ...context, maxSteps } : context);
         res.json(result);
       } catch (error) {
         console.error('Agent execution error:', error);
@@ -638,6 +1487,18 @@ async function initializeServer() {
       res.status(500).json({ error: 'Internal server error' });
     });
 
+    // Purge expired uploads now and on a schedule
+    const purgeSchedule = process.env.UPLOAD_PURGE_SCHEDULE || '*/15 * * * *';
+    const purgeUploads = () => uploadRegistry.purgeExpired().catch(error => {
+      console.error('Upload purge error:', error);
+    });
+    if (cron.validate(purgeSchedule)) {
+      cron.schedule(purgeSchedule, purgeUploads);
+      purgeUploads();
+    } else {
+      console.warn(`⚠️ Invalid UPLOAD_PURGE_SCHEDULE "${purgeSchedule}"; expired uploads will not be purged`);
+    }
+
     // Start server
     app.listen(PORT, () => {
       console.log(`🚀 AI Agents SDK Server running on port ${PORT}`);
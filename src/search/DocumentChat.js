@@ -0,0 +1,178 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { hybridSearch } from './retrieval.js';
+import { vectorIndex } from './VectorIndex.js';
+
+// Passages retrieved from the document for each question
+const PASSAGES_PER_QUESTION = 6;
+
+// Most recent messages sent to the model with each question; older ones stay in the stored history
+const HISTORY_MESSAGES_IN_PROMPT = 10;
+const MAX_STORED_MESSAGES = 50;
+
+/**
+ * Chat with a document: the file is analyzed and indexed once, each question is answered
+ * from the passages most relevant to it, and every document keeps its own conversation history.
+ */
+export class DocumentChat {
+  constructor(fileSearchAgent, responsesAPI) {
+    this.name = 'DocumentChat';
+    this.fileSearchAgent = fileSearchAgent;
+    this.responsesAPI = responsesAPI;
+    this.documents = new Map();
+  }
+
+  /**
+   * Analyze and index a file unless it was already ingested and has not changed since
+   */
+  async ingest(filePath, fileName = path.basename(filePath)) {
+    const stats = await fs.stat(filePath);
+    const cached = this.documents.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return { document: cached, cached: true };
+    }
+
+    console.log(`📥 Ingesting document for chat: ${fileName}`);
+    const analysis = await this.fileSearchAgent.analyzeFile(filePath, fileName, { index: true });
+    if (!analysis.success) {
+      throw new Error(analysis.error);
+    }
+
+    const document = {
+      filePath,
+      fileName,
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+      documentId: analysis.index.documentId,
+      pages: analysis.metadata?.pages,
+      wordCount: analysis.content.wordCount,
+      summary: analysis.analysis?.generated ? analysis.analysis.summary : null,
+      // A re-ingested (changed) file keeps its conversation
+      history: cached?.history || [],
+      ingested: new Date().toISOString()
+    };
+
+    this.documents.set(filePath, document);
+    return { document, cached: false };
+  }
+
+  /**
+   * Answer a question about a document from its most relevant passages, continuing the document's conversation
+   */
+  async ask(filePath, message, options = {}) {
+    const { fileName, provider, model, temperature = 0.3, max_tokens = 1000 } = options;
+    const { document, cached } = await this.ingest(filePath, fileName);
+
+    let indexed = await vectorIndex.getDocument(document.documentId);
+    if (!indexed) {
+      indexed = await this.fileSearchAgent.indexFile(filePath, document.fileName);
+      document.documentId = indexed.id;
+    }
+
+    // Include the previous question so follow-ups ("what about the second one?") retrieve the right passages
+    const previousQuestion = [...document.history].reverse().find(entry => entry.role === 'user')?.content;
+    const retrieval = await hybridSearch([indexed], previousQuestion ? `${previousQuestion}\n${message}` : message, {
+      topK: PASSAGES_PER_QUESTION,
+      provider: this.fileSearchAgent.provider,
+      agent: this.name
+    });
+
+    // Present passages in document order so the model reads them as they appear
+    const passages = [...retrieval.chunks].sort((a, b) => a.start - b.start);
+    const context = passages.length > 0
+      ? passages.map(passage => `[${passage.pages ? `Page ${passage.pages.join('-')}` : `Passage ${passage.index + 1}`}]\n${passage.text}`).join('\n\n')
+      : 'No passages matched this question.';
+
+    const details = [
+      document.pages && `${document.pages} pages`,
+      document.wordCount && `${document.wordCount} words`
+    ].filter(Boolean).join(', ');
+
+    const systemPrompt = `You are an AI assistant specialized in analyzing and discussing documents.
+The user is asking about "${document.fileName}"${details ? ` (${details})` : ''}.
+${document.summary ? `\nDocument summary:\n${document.summary}\n` : ''}
+Answer from the passages below, which were retrieved from the whole document for this question. If they do not contain the answer, say so rather than guessing.
+Passages are marked [Page N]; cite the page behind each claim as (p. N).
+
+Relevant passages:
+${context}`;
+
+    const result = await this.responsesAPI.conversation([
+      ...document.history.slice(-HISTORY_MESSAGES_IN_PROMPT).map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: message }
+    ], {
+      systemPrompt,
+      provider,
+      agent: this.name,
+      model,
+      temperature,
+      max_tokens
+    });
+
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.error
+      };
+    }
+
+    const timestamp = new Date().toISOString();
+    document.history.push(
+      { role: 'user', content: message, timestamp },
+      { role: 'assistant', content: result.response, timestamp }
+    );
+    document.history.splice(0, Math.max(0, document.history.length - MAX_STORED_MESSAGES));
+
+    return {
+      success: true,
+      response: result.response,
+      pages: this.fileSearchAgent.findCitedPages(result.response),
+      sources: retrieval.chunks.map(chunk => ({
+        chunk: chunk.index,
+        pages: chunk.pages,
+        deepLink: chunk.deepLink,
+        score: chunk.score,
+        excerpt: chunk.text.substring(0, 200)
+      })),
+      retrieval: retrieval.mode,
+      cached,
+      historyLength: document.history.length,
+      document: {
+        name: document.fileName,
+        pages: document.pages,
+        wordCount: document.wordCount
+      },
+      usage: result.usage,
+      model: result.model
+    };
+  }
+
+  /**
+   * Conversation history for a document
+   */
+  getHistory(filePath) {
+    return this.documents.get(filePath)?.history || [];
+  }
+
+  /**
+   * Start a new conversation about a document (the ingested content is kept)
+   */
+  clearHistory(filePath) {
+    const document = this.documents.get(filePath);
+    if (!document) {
+      return false;
+    }
+
+    document.history = [];
+    return true;
+  }
+
+  /**
+   * Drop a document and its conversation, e.g. once its upload is deleted. Returns the removed record, or null.
+   */
+  forget(filePath) {
+    const document = this.documents.get(filePath) || null;
+    this.documents.delete(filePath);
+    return document;
+  }
+}
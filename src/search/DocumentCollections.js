@@ -0,0 +1,390 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createChatCompletion } from '../config/openai.js';
+import { hybridSearch } from './retrieval.js';
+import { vectorIndex } from './VectorIndex.js';
+import { WriteQueue, writeJsonAtomic } from '../storage/fileWrites.js';
+
+/**
+ * Named collections of documents that can be searched and questioned together.
+ * Collection records are persisted to a JSON file; chunks and embeddings live in the vector index.
+ * Files come from uploads and leave their collections when the upload expires or is deleted (see removeUploads).
+ */
+export class DocumentCollections {
+  constructor(fileSearchAgent, filePath = process.env.COLLECTIONS_PATH || './data/collections.json') {
+    this.name = 'DocumentCollections';
+    this.fileSearchAgent = fileSearchAgent;
+    this.filePath = filePath;
+    this.collections = null;
+    this.writeQueue = new WriteQueue();
+  }
+
+  /**
+   * Load collections from disk on first use
+   */
+  async load() {
+    if (!this.collections) {
+      this.collections = await fs.pathExists(this.filePath)
+        ? (await fs.readJson(this.filePath)).collections || {}
+        : {};
+    }
+    return this.collections;
+  }
+
+  /**
+   * Persist collections (see writeJsonAtomic)
+   */
+  async persist() {
+    return this.writeQueue.run(() => writeJsonAtomic(this.filePath, { collections: this.collections }, { spaces: 2 }));
+  }
+
+  /**
+   * Create a new, empty collection
+   */
+  async createCollection({ name, description = '' } = {}) {
+    if (!name) {
+      return { success: false, error: 'Collection name is required' };
+    }
+
+    const collections = await this.load();
+    if (Object.values(collections).some(collection => collection.name === name)) {
+      return { success: false, error: `A collection named "${name}" already exists` };
+    }
+
+    const collection = {
+      id: uuidv4(),
+      name,
+      description,
+      files: [],
+      created: new Date().toISOString(),
+      updated: new Date().toISOString()
+    };
+
+    collections[collection.id] = collection;
+    await this.persist();
+    console.log(`📚 Created collection: ${name} (${collection.id})`);
+
+    return { success: true, collection };
+  }
+
+  /**
+   * List collections without their file lists
+   */
+  async listCollections() {
+    const collections = Object.values(await this.load()).map(collection => this.describeCollection(collection));
+    return {
+      success: true,
+      collections,
+      total: collections.length
+    };
+  }
+
+  /**
+   * Get a collection with its files
+   */
+  async getCollection(collectionId) {
+    const collection = (await this.load())[collectionId];
+    if (!collection) {
+      return { success: false, error: 'Collection not found' };
+    }
+    return { success: true, collection: this.describeFiles(collection) };
+  }
+
+  /**
+   * Rename a collection or change its description
+   */
+  async updateCollection(collectionId, updates = {}) {
+    const collections = await this.load();
+    const collection = collections[collectionId];
+    if (!collection) {
+      return { success: false, error: 'Collection not found' };
+    }
+
+    if (updates.name && updates.name !== collection.name
+      && Object.values(collections).some(other => other.name === updates.name)) {
+      return { success: false, error: `A collection named "${updates.name}" already exists` };
+    }
+
+    for (const key of ['name', 'description']) {
+      if (updates[key] !== undefined) {
+        collection[key] = updates[key];
+      }
+    }
+    collection.updated = new Date().toISOString();
+    await this.persist();
+
+    return { success: true, collection: this.describeFiles(collection) };
+  }
+
+  /**
+   * Delete a collection. Index entries are content-addressed and may be shared, so they are kept.
+   */
+  async deleteCollection(collectionId) {
+    const collections = await this.load();
+    if (!collections[collectionId]) {
+      return { success: false, error: 'Collection not found' };
+    }
+
+    delete collections[collectionId];
+    await this.persist();
+
+    return {
+      success: true,
+      message: `Collection ${collectionId} deleted successfully`
+    };
+  }
+
+  /**
+   * Analyze, chunk and embed uploaded files into a collection. files: [{ path, name, uploadId, expiresAt }]
+   */
+  async addFiles(collectionId, files) {
+    const collections = await this.load();
+    const collection = collections[collectionId];
+    if (!collection) {
+      return { success: false, error: 'Collection not found' };
+    }
+
+    const added = [];
+    const failed = [];
+
+    // One file at a time: extraction and embedding are both heavy
+    for (const file of files) {
+      const name = file.name || path.basename(file.path);
+      const analysis = await this.fileSearchAgent.analyzeFile(file.path, name, { index: true });
+
+      if (!analysis.success) {
+        failed.push({ name, error: analysis.error });
+        continue;
+      }
+
+      const entry = {
+        id: uuidv4(),
+        name,
+        path: file.path,
+        uploadId: file.uploadId,
+        expiresAt: file.expiresAt,
+        size: analysis.file.size,
+        extension: analysis.file.extension,
+        documentId: analysis.index.documentId,
+        chunks: analysis.index.chunks,
+        embeddingModel: analysis.index.embeddingModel,
+        summary: analysis.analysis?.summary || null,
+        added: new Date().toISOString()
+      };
+
+      collection.files.push(entry);
+      added.push(entry);
+    }
+
+    collection.updated = new Date().toISOString();
+    await this.persist();
+    console.log(`📚 Added ${added.length} file(s) to collection: ${collection.name}`);
+
+    return {
+      success: failed.length === 0,
+      collectionId,
+      added: added.map(file => this.describeFile(file)),
+      failed
+    };
+  }
+
+  /**
+   * Remove a file from a collection
+   */
+  async removeFile(collectionId, fileId) {
+    const collection = (await this.load())[collectionId];
+    if (!collection) {
+      return { success: false, error: 'Collection not found' };
+    }
+
+    const index = collection.files.findIndex(file => file.id === fileId);
+    if (index === -1) {
+      return { success: false, error: 'File not found in collection' };
+    }
+
+    collection.files.splice(index, 1);
+    collection.updated = new Date().toISOString();
+    await this.persist();
+
+    return {
+      success: true,
+      message: `File ${fileId} removed from collection ${collectionId}`
+    };
+  }
+
+  /**
+   * Remove deleted or expired uploads (records with `id` and `path`) from every collection
+   */
+  async removeUploads(uploads) {
+    const uploadIds = new Set(uploads.map(upload => upload.id));
+    const uploadPaths = new Set(uploads.map(upload => upload.path));
+    const isRemoved = file => uploadIds.has(file.uploadId) || uploadPaths.has(file.path);
+
+    let removed = 0;
+    for (const collection of Object.values(await this.load())) {
+      const files = collection.files.filter(file => !isRemoved(file));
+      if (files.length < collection.files.length) {
+        removed += collection.files.length - files.length;
+        collection.files = files;
+        collection.updated = new Date().toISOString();
+      }
+    }
+
+    if (removed > 0) {
+      await this.persist();
+      console.log(`📚 Removed ${removed} expired or deleted file(s) from collections`);
+    }
+    return removed;
+  }
+
+  /**
+   * Load the indexed document for a collection file, re-indexing it if the index entry is missing
+   */
+  async getIndexedDocument(file) {
+    const document = await vectorIndex.getDocument(file.documentId);
+    if (document) {
+      return document;
+    }
+
+    const reindexed = await this.fileSearchAgent.indexFile(file.path, file.name);
+    file.documentId = reindexed.id;
+    file.chunks = reindexed.chunks.length;
+    file.embeddingModel = reindexed.embeddingModel;
+    return reindexed;
+  }
+
+  /**
+   * Rank chunks from every file in the collection; each result names the file and chunk it came from
+   */
+  async search(collectionId, query, options = {}) {
+    const collection = (await this.load())[collectionId];
+    if (!collection) {
+      return { success: false, error: 'Collection not found' };
+    }
+
+    const documents = [];
+    const filesByDocument = new Map();
+    for (const file of collection.files) {
+      try {
+        const document = await this.getIndexedDocument(file);
+        if (!filesByDocument.has(document.id)) {
+          documents.push(document);
+          filesByDocument.set(document.id, file);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Skipping ${file.name} in collection ${collection.name}: ${error.message}`);
+      }
+    }
+
+    const retrieval = await hybridSearch(documents, query, {
+      topK: options.topK ?? 8,
+      semanticWeight: options.semanticWeight,
+      provider: this.fileSearchAgent.provider,
+      agent: this.name
+    });
+
+    const chunks = retrieval.chunks.map(({ documentId, source, ...chunk }) => {
+      const file = filesByDocument.get(documentId);
+      return {
+        fileId: file.id,
+        fileName: file.name,
+        chunk: chunk.index,
+        ...chunk
+      };
+    });
+
+    return {
+      success: true,
+      collectionId,
+      query,
+      mode: retrieval.mode,
+      results: chunks,
+      filesSearched: documents.length
+    };
+  }
+
+  /**
+   * Answer a question from the collection, citing the file and chunk behind each claim
+   */
+  async ask(collectionId, question, options = {}) {
+    const search = await this.search(collectionId, question, options);
+    if (!search.success) {
+      return search;
+    }
+
+    const sources = search.results.map((result, i) => ({ number: i + 1, ...result }));
+    if (sources.length === 0) {
+      return {
+        success: true,
+        collectionId,
+        question,
+        answer: 'No relevant passages were found in this collection.',
+        citations: [],
+        sources: []
+      };
+    }
+
+    const response = await createChatCompletion([
+      {
+        role: 'system',
+        content: 'You answer questions using only the numbered sources from a document collection. After every claim, cite the supporting sources in square brackets, e.g. [1] or [2][3]. If the sources do not contain the answer, say so.'
+      },
+      {
+        role: 'user',
+        content: `Question: "${question}"\n\nSources:\n${sources.map(source => `[${source.number}] ${source.fileName} (${source.pages ? `page ${source.pages.join('-')}, ` : ''}chunk ${source.chunk})\n${source.text}`).join('\n\n')}`
+      }
+    ], {
+      provider: this.fileSearchAgent.provider,
+      agent: this.name,
+      max_tokens: 800,
+      temperature: 0.2
+    });
+
+    const answer = response.choices[0].message.content;
+    const cited = new Set(Array.from(answer.matchAll(/\[(\d+)\]/g), match => parseInt(match[1])));
+
+    return {
+      success: true,
+      collectionId,
+      question,
+      answer,
+      citations: sources
+        .filter(source => cited.has(source.number))
+        .map(({ number, fileId, fileName, chunk, start, end, pages, deepLink, score }) => ({ number, fileId, fileName, chunk, start, end, pages, deepLink, score })),
+      sources,
+      mode: search.mode,
+      usage: response.usage
+    };
+  }
+
+  /**
+   * Public view of a collection file; the server path stays internal
+   */
+  describeFile(file) {
+    const { path: _path, ...description } = file;
+    return description;
+  }
+
+  /**
+   * A collection with the public view of its files
+   */
+  describeFiles(collection) {
+    return { ...collection, files: collection.files.map(file => this.describeFile(file)) };
+  }
+
+  /**
+   * Collection overview without the file list
+   */
+  describeCollection(collection) {
+    return {
+      id: collection.id,
+      name: collection.name,
+      description: collection.description,
+      fileCount: collection.files.length,
+      chunkCount: collection.files.reduce((total, file) => total + file.chunks, 0),
+      created: collection.created,
+      updated: collection.updated
+    };
+  }
+}
@@ -0,0 +1,175 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { WriteQueue, writeJsonAtomic } from '../storage/fileWrites.js';
+
+// Documents kept in memory; the least recently used are dropped and read from disk again when needed
+const CACHE_SIZE = parseInt(process.env.VECTOR_INDEX_CACHE_SIZE) || 50;
+// Metadata of every indexed document, so listing the index doesn't read any chunks
+const CATALOG_FILE = 'catalog.json';
+
+/**
+ * Cosine similarity of two vectors of the same length
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * File-backed vector index: one JSON file per indexed document holding its chunks and embeddings,
+ * plus a catalog of their metadata. Documents are loaded on first use and the most recently
+ * used `maxCached` of them (VECTOR_INDEX_CACHE_SIZE, default 50) are kept in memory.
+ */
+export class VectorIndex {
+  constructor(dirPath = process.env.VECTOR_INDEX_DIR || './data/vector-index', options = {}) {
+    this.name = 'VectorIndex';
+    this.dirPath = dirPath;
+    this.maxCached = options.maxCached || CACHE_SIZE;
+    // documentId -> document, least recently used first
+    this.documents = new Map();
+    // documentId -> metadata without chunks
+    this.catalog = null;
+    this.writeQueue = new WriteQueue();
+  }
+
+  documentPath(documentId) {
+    return path.join(this.dirPath, `${documentId}.json`);
+  }
+
+  /**
+   * Metadata of a document for listings: everything but its chunks
+   */
+  describe(document) {
+    const { chunks, ...metadata } = document;
+    return { ...metadata, chunkCount: chunks.length };
+  }
+
+  /**
+   * Keep a document in memory as the most recently used, dropping the least recently used beyond `maxCached`
+   */
+  remember(document) {
+    this.documents.delete(document.id);
+    this.documents.set(document.id, document);
+    for (const documentId of this.documents.keys()) {
+      if (this.documents.size <= this.maxCached) {
+        break;
+      }
+      this.documents.delete(documentId);
+    }
+  }
+
+  async getDocument(documentId) {
+    if (this.documents.has(documentId)) {
+      const document = this.documents.get(documentId);
+      this.remember(document);
+      return document;
+    }
+
+    const filePath = this.documentPath(documentId);
+    if (!await fs.pathExists(filePath)) {
+      return null;
+    }
+
+    const document = await fs.readJson(filePath);
+    this.remember(document);
+    return document;
+  }
+
+  /**
+   * Load the catalog on first use. An index written before the catalog existed is scanned once,
+   * one document at a time, and the catalog is saved.
+   */
+  async loadCatalog() {
+    if (this.catalog) {
+      return this.catalog;
+    }
+
+    const catalogPath = path.join(this.dirPath, CATALOG_FILE);
+    if (await fs.pathExists(catalogPath)) {
+      this.catalog ??= (await fs.readJson(catalogPath)).documents || {};
+      return this.catalog;
+    }
+
+    const catalog = {};
+    if (await fs.pathExists(this.dirPath)) {
+      for (const file of await fs.readdir(this.dirPath)) {
+        if (file.endsWith('.json') && file !== CATALOG_FILE) {
+          const document = await fs.readJson(path.join(this.dirPath, file));
+          catalog[document.id] = this.describe(document);
+        }
+      }
+    }
+
+    this.catalog ??= catalog;
+    await this.persistCatalog();
+    return this.catalog;
+  }
+
+  /**
+   * Persist the catalog (see writeJsonAtomic)
+   */
+  async persistCatalog() {
+    return this.writeQueue.run(() => writeJsonAtomic(path.join(this.dirPath, CATALOG_FILE), { documents: this.catalog }));
+  }
+
+  /**
+   * Save a document (see writeJsonAtomic) and record it in the catalog
+   */
+  async saveDocument(document) {
+    await this.writeQueue.run(() => writeJsonAtomic(this.documentPath(document.id), document));
+    this.remember(document);
+
+    const catalog = await this.loadCatalog();
+    catalog[document.id] = this.describe(document);
+    await this.persistCatalog();
+    return document;
+  }
+
+  async deleteDocument(documentId) {
+    this.documents.delete(documentId);
+    const catalog = await this.loadCatalog();
+    delete catalog[documentId];
+    await this.persistCatalog();
+
+    const filePath = this.documentPath(documentId);
+    return this.writeQueue.run(async () => {
+      if (!await fs.pathExists(filePath)) {
+        return false;
+      }
+      await fs.remove(filePath);
+      return true;
+    });
+  }
+
+  /**
+   * Delete every document indexed from a file's content (see indexDocument's fileHash); returns how many
+   */
+  async deleteFileDocuments(fileHash) {
+    const documentIds = Object.values(await this.loadCatalog())
+      .filter(document => document.fileHashes?.includes(fileHash))
+      .map(document => document.id);
+    for (const documentId of documentIds) {
+      await this.deleteDocument(documentId);
+    }
+    return documentIds.length;
+  }
+
+  /**
+   * List indexed documents without their chunks
+   */
+  async listDocuments() {
+    return Object.values(await this.loadCatalog());
+  }
+}
+
+// Shared index used by the file search agent
+export const vectorIndex = new VectorIndex();
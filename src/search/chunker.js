@@ -0,0 +1,71 @@
+/**
+ * Find the best place to end a chunk between `min` and `max`:
+ * a paragraph break, else a sentence end, else whitespace, else `max` itself
+ */
+function findBreak(text, min, max) {
+  const window = text.slice(min, max);
+
+  const paragraph = window.lastIndexOf('\n\n');
+  if (paragraph !== -1) {
+    return min + paragraph + 2;
+  }
+
+  let sentenceEnd = -1;
+  for (const match of window.matchAll(/[.!?]["')\]]?\s|\n/g)) {
+    sentenceEnd = match.index + match[0].length;
+  }
+  if (sentenceEnd !== -1) {
+    return min + sentenceEnd;
+  }
+
+  const space = window.search(/\s\S*$/);
+  return space !== -1 ? min + space + 1 : max;
+}
+
+/**
+ * Split text into overlapping chunks that end on paragraph or sentence boundaries where possible.
+ * Returns [{ index, text, start, end }] with character offsets into the original text.
+ */
+export function chunkText(text, options = {}) {
+  const { chunkSize = 1000, overlap = 200 } = options;
+
+  if (overlap >= chunkSize) {
+    throw new Error('Chunk overlap must be smaller than the chunk size');
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+    if (end < text.length) {
+      // Don't shorten a chunk below half its size just to end on a boundary
+      end = findBreak(text, start + Math.floor(chunkSize / 2), end);
+    }
+
+    const raw = text.slice(start, end);
+    const chunk = raw.trim();
+    if (chunk) {
+      const leading = raw.length - raw.trimStart().length;
+      chunks.push({
+        index: chunks.length,
+        text: chunk,
+        start: start + leading,
+        end: start + leading + chunk.length
+      });
+    }
+
+    if (end >= text.length) {
+      break;
+    }
+
+    // Step back by the overlap, then forward to the next word so chunks don't start mid-word
+    let next = Math.max(end - overlap, start + 1);
+    while (next < end && !/\s/.test(text[next - 1])) {
+      next++;
+    }
+    start = next;
+  }
+
+  return chunks;
+}
@@ -0,0 +1,8 @@
+export { chunkText } from './chunker.js';
+export { pageAt, pagesForRange, pageLink } from './pages.js';
+export { tokenize, bm25Scores } from './keyword.js';
+export { searchText, editDistance, escapeRegExp, compileUserRegex, testUserRegex, TextSearchError, SEARCH_MODES, MAX_FUZZY_EDITS } from './textSearch.js';
+export { VectorIndex, vectorIndex, cosineSimilarity } from './VectorIndex.js';
+export { indexDocument, hybridSearch, retrievalConfig, resolveRetrievalOptions, RetrievalOptionsError, MAX_TOP_K } from './retrieval.js';
+export { DocumentCollections } from './DocumentCollections.js';
+export { DocumentChat } from './DocumentChat.js';
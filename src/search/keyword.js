@@ -0,0 +1,49 @@
+// Common English words that carry no meaning for keyword ranking
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i',
+  'in', 'is', 'it', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this', 'to', 'was', 'we',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Lowercase word tokens without stop words
+ */
+export function tokenize(text = '') {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(token => !STOP_WORDS.has(token));
+}
+
+/**
+ * BM25 relevance of each text to the query (0 when no query term occurs)
+ */
+export function bm25Scores(texts, query, options = {}) {
+  const { k1 = 1.2, b = 0.75 } = options;
+  const queryTerms = [...new Set(tokenize(query))];
+  const documents = texts.map(text => tokenize(text));
+
+  if (queryTerms.length === 0 || documents.length === 0) {
+    return texts.map(() => 0);
+  }
+
+  const averageLength = documents.reduce((total, tokens) => total + tokens.length, 0) / documents.length || 1;
+  const documentFrequency = Object.fromEntries(queryTerms.map(term => [
+    term,
+    documents.filter(tokens => tokens.includes(term)).length
+  ]));
+
+  return documents.map(tokens => {
+    const termCounts = new Map();
+    for (const token of tokens) {
+      termCounts.set(token, (termCounts.get(token) || 0) + 1);
+    }
+
+    return queryTerms.reduce((score, term) => {
+      const frequency = termCounts.get(term) || 0;
+      if (!frequency) {
+        return score;
+      }
+
+      const idf = Math.log(1 + (documents.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+      return score + idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * tokens.length / averageLength));
+    }, 0);
+  });
+}
@@ -0,0 +1,37 @@
+/**
+ * Page number containing a character offset, given pages as [{ number, start, end }]
+ */
+export function pageAt(pages, offset) {
+  if (!pages?.length) {
+    return null;
+  }
+
+  const page = pages.find(candidate => offset >= candidate.start && offset < candidate.end)
+    // Offsets in the gap between two pages belong to the next page
+    || pages.find(candidate => offset < candidate.start)
+    || pages[pages.length - 1];
+
+  return page.number;
+}
+
+/**
+ * Page numbers spanned by a character range
+ */
+export function pagesForRange(pages, start, end) {
+  if (!pages?.length) {
+    return null;
+  }
+
+  const first = pageAt(pages, start);
+  const last = pageAt(pages, Math.max(start, end - 1));
+  return pages
+    .map(page => page.number)
+    .filter(number => number >= first && number <= last);
+}
+
+/**
+ * URL fragment that opens a PDF at a page (PDF open parameters, supported by browser viewers)
+ */
+export function pageLink(page) {
+  return page ? `#page=${page}` : null;
+}
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import { createEmbedding, config, getProvider } from '../config/openai.js';
+import { chunkText } from './chunker.js';
+import { bm25Scores } from './keyword.js';
+import { vectorIndex, cosineSimilarity } from './VectorIndex.js';
+import { pagesForRange, pageLink } from './pages.js';
+
+// Chunks sent per embeddings request
+const EMBEDDING_BATCH_SIZE = 64;
+// Most chunks a search may return
+export const MAX_TOP_K = 100;
+
+export const retrievalConfig = {
+  chunkSize: parseInt(process.env.CHUNK_SIZE) || 1000,
+  chunkOverlap: parseInt(process.env.CHUNK_OVERLAP) || 200,
+  // Share of the final score that comes from semantic similarity (the rest is keyword relevance)
+  semanticWeight: parseFloat(process.env.SEMANTIC_WEIGHT) || 0.7
+};
+
+/**
+ * Retrieval options that can't be used, e.g. a topK that isn't a positive whole number
+ */
+export class RetrievalOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RetrievalOptionsError';
+    this.status = 400;
+    this.code = 'INVALID_RETRIEVAL_OPTIONS';
+  }
+}
+
+/**
+ * A number from a request, which may have sent it as a numeric string; anything else is NaN
+ */
+function toNumber(value) {
+  if (typeof value === 'string' && value.trim()) {
+    return Number(value);
+  }
+  return typeof value === 'number' ? value : NaN;
+}
+
+/**
+ * Validate `topK` (a whole number from 1 to MAX_TOP_K) and `semanticWeight` (a number, clamped to 0..1).
+ * Missing options stay undefined so callers can apply their defaults.
+ */
+export function resolveRetrievalOptions({ topK, semanticWeight } = {}) {
+  const resolved = {};
+
+  if (topK !== undefined && topK !== null) {
+    resolved.topK = toNumber(topK);
+    if (!Number.isInteger(resolved.topK) || resolved.topK < 1 || resolved.topK > MAX_TOP_K) {
+      throw new RetrievalOptionsError(`topK must be a whole number from 1 to ${MAX_TOP_K}`);
+    }
+  }
+
+  if (semanticWeight !== undefined && semanticWeight !== null) {
+    const weight = toNumber(semanticWeight);
+    if (!Number.isFinite(weight)) {
+      throw new RetrievalOptionsError('semanticWeight must be a number from 0 to 1');
+    }
+    resolved.semanticWeight = Math.min(1, Math.max(0, weight));
+  }
+
+  return resolved;
+}
+
+/**
+ * Whether the provider can embed text; without embeddings retrieval is keyword-only
+ */
+function canEmbed(providerName) {
+  try {
+    return getProvider(providerName).capabilities.embeddings;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Chunk and embed a document's text, reusing the stored index entry when the same content
+ * was already indexed with the same chunking and embedding model.
+ * `pages` ([{ number, start, end }] offsets into content) tags each chunk with the pages it spans.
+ * `fileHash` (see hashFile) records the file the content came from, so its entries can be deleted with it.
+ */
+export async function indexDocument(content, options = {}) {
+  const {
+    source,
+    pages,
+    fileHash,
+    provider,
+    agent,
+    chunkSize = retrievalConfig.chunkSize,
+    overlap = retrievalConfig.chunkOverlap,
+    embeddingModel = config.embeddingModel,
+    index = vectorIndex
+  } = options;
+
+  const embed = canEmbed(provider);
+  const documentId = crypto.createHash('sha256')
+    .update(`${embed ? embeddingModel : 'keyword'}:${chunkSize}:${overlap}:`)
+    .update(content)
+    .digest('hex');
+
+  const existing = await index.getDocument(documentId);
+  // Entries indexed before page tracking are rebuilt once pages are known
+  if (existing && (!pages || existing.pages)) {
+    if (fileHash && !existing.fileHashes?.includes(fileHash)) {
+      existing.fileHashes = [...(existing.fileHashes || []), fileHash];
+      await index.saveDocument(existing);
+    }
+    return existing;
+  }
+
+  const chunks = chunkText(content, { chunkSize, overlap }).map(chunk => ({
+    ...chunk,
+    ...(pages && { pages: pagesForRange(pages, chunk.start, chunk.end) })
+  }));
+  const document = {
+    id: documentId,
+    source: source || null,
+    pages: pages ? pages.map(({ number, start, end }) => ({ number, start, end })) : null,
+    fileHashes: [...new Set([...(existing?.fileHashes || []), ...(fileHash ? [fileHash] : [])])],
+    embeddingModel: null,
+    chunkSize,
+    overlap,
+    contentLength: content.length,
+    created: new Date().toISOString(),
+    chunks
+  };
+
+  if (embed) {
+    try {
+      for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+        const { embeddings, model } = await createEmbedding(batch.map(chunk => chunk.text), {
+          provider,
+          agent,
+          model: embeddingModel
+        });
+        batch.forEach((chunk, j) => {
+          chunk.embedding = embeddings[j];
+        });
+        document.embeddingModel = model;
+      }
+    } catch (error) {
+      // Keep the chunks for keyword search, but don't persist so embedding is retried next time
+      console.warn(`⚠️ Embedding failed, falling back to keyword search: ${error.message}`);
+      chunks.forEach(chunk => delete chunk.embedding);
+      document.embeddingModel = null;
+      return document;
+    }
+  }
+
+  console.log(`🧩 Indexed ${chunks.length} chunks${source ? ` from ${source}` : ''}${document.embeddingModel ? ` with ${document.embeddingModel}` : ' (keyword only)'}`);
+  return index.saveDocument(document);
+}
+
+/**
+ * Rank the chunks of one or more indexed documents against a query, combining embedding
+ * similarity with BM25 keyword relevance. Returns the top chunks with their scores.
+ */
+export async function hybridSearch(documents, query, options = {}) {
+  const { provider, agent } = options;
+  const {
+    topK = 5,
+    semanticWeight = retrievalConfig.semanticWeight
+  } = resolveRetrievalOptions(options);
+
+  const candidates = documents.flatMap(document => document.chunks.map(chunk => ({ document, chunk })));
+  if (candidates.length === 0) {
+    return { mode: 'keyword', chunks: [] };
+  }
+
+  // Semantic scores need every document embedded with the same model as the query
+  const embeddingModels = new Set(documents.map(document => document.embeddingModel));
+  const [embeddingModel] = embeddingModels;
+  let semanticScores = null;
+
+  if (embeddingModels.size === 1 && embeddingModel && canEmbed(provider)) {
+    try {
+      const { embeddings: [queryEmbedding] } = await createEmbedding(query, { provider, agent, model: embeddingModel });
+      semanticScores = candidates.map(({ chunk }) => Math.max(0, cosineSimilarity(queryEmbedding, chunk.embedding)));
+    } catch (error) {
+      console.warn(`⚠️ Query embedding failed, using keyword search only: ${error.message}`);
+    }
+  }
+
+  const keywordScores = bm25Scores(candidates.map(({ chunk }) => chunk.text), query);
+  // reduce rather than spreading, which overflows the call stack for documents with very many chunks
+  const maxKeywordScore = keywordScores.reduce((max, score) => Math.max(max, score), 0);
+
+  const ranked = candidates.map(({ document, chunk }, i) => {
+    // Normalize BM25 to 0..1 so it can be mixed with cosine similarity
+    const keywordScore = maxKeywordScore > 0 ? keywordScores[i] / maxKeywordScore : 0;
+    const semanticScore = semanticScores ? semanticScores[i] : null;
+    const score = semanticScores
+      ? semanticWeight * semanticScore + (1 - semanticWeight) * keywordScore
+      : keywordScore;
+
+    return {
+      documentId: document.id,
+      source: document.source,
+      index: chunk.index,
+      text: chunk.text,
+      start: chunk.start,
+      end: chunk.end,
+      pages: chunk.pages || null,
+      deepLink: pageLink(chunk.pages?.[0]),
+      score: Number(score.toFixed(4)),
+      semanticScore: semanticScore === null ? null : Number(semanticScore.toFixed(4)),
+      keywordScore: Number(keywordScore.toFixed(4))
+    };
+  });
+
+  return {
+    mode: semanticScores ? 'hybrid' : 'keyword',
+    embeddingModel: semanticScores ? embeddingModel : null,
+    chunks: ranked
+      .filter(chunk => chunk.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+  };
+}
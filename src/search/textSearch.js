@@ -0,0 +1,268 @@
+import vm from 'vm';
+
+export const SEARCH_MODES = ['literal', 'phrase', 'regex', 'fuzzy'];
+
+// Longest user-supplied regex accepted (regex search mode, JSON schema patterns)
+export const MAX_PATTERN_LENGTH = 500;
+const DEFAULT_REGEX_TIMEOUT = parseInt(process.env.REGEX_SEARCH_TIMEOUT_MS) || 1000;
+// Fuzzy mode compares the query with every window of words, so both the query and the edits are bounded
+export const MAX_FUZZY_EDITS = 3;
+const MAX_FUZZY_QUERY_LENGTH = 100;
+// Fuzzy windows compared between checks of the time limit
+const FUZZY_CHECK_INTERVAL = 500;
+// A quantified group that itself ends in a quantifier, e.g. (a+)+ or (\w*)*, can backtrack exponentially
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}]\)(?:[+*]|\{\d+,\d*\})/;
+// Unicode-aware word edges (\b only knows ASCII letters)
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+const WORD_END = '(?![\\p{L}\\p{N}])';
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * A search query that can't be run: an invalid or too complex regex, or one that ran out of time
+ */
+export class TextSearchError extends Error {
+  constructor(message, code = 'INVALID_SEARCH_QUERY') {
+    super(message);
+    this.name = 'TextSearchError';
+    this.status = 400;
+    this.code = code;
+  }
+}
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions and swaps of adjacent
+ * characters, so "recieve" is one edit from "receive"), or Infinity once it is certain to exceed `max`
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) {
+    return Infinity;
+  }
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return Infinity;
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length] > max ? Infinity : previous[b.length];
+}
+
+/**
+ * Edits tolerated by fuzzy search by default: none for very short queries, then one per five characters (at most 3)
+ */
+export function defaultMaxEdits(query) {
+  return query.length <= 3 ? 0 : Math.min(3, Math.max(1, Math.floor(query.length / 5)));
+}
+
+/**
+ * Run a regex over the content, keeping the first `maxResults` matches and counting the rest
+ */
+function collectMatches(pattern, content, maxResults) {
+  const matches = [];
+  let total = 0;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    if (match[0].length === 0) {
+      // Empty matches (e.g. /x*/) would never advance
+      pattern.lastIndex++;
+      continue;
+    }
+    total++;
+    if (matches.length < maxResults) {
+      matches.push({ index: match.index, text: match[0] });
+    }
+  }
+
+  return { total, matches };
+}
+
+/**
+ * Compile a user-supplied regex, rejecting (with a TextSearchError) patterns that are invalid,
+ * too long or likely to backtrack. `source` is what gets compiled when it wraps the pattern.
+ */
+export function compileUserRegex(pattern, flags = '', source = pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new TextSearchError(`Regular expression is too long (max ${MAX_PATTERN_LENGTH} characters)`);
+  }
+  if (NESTED_QUANTIFIER.test(pattern)) {
+    throw new TextSearchError('Regular expression has nested quantifiers (like (a+)+) that can take exponential time; simplify the pattern');
+  }
+
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new TextSearchError(error.message);
+  }
+}
+
+/**
+ * User regexes run in a separate context with a time limit, so a pattern that backtracks
+ * catastrophically fails with SEARCH_TIMEOUT instead of blocking the server
+ */
+function runWithTimeout(code, context, timeout) {
+  try {
+    return vm.runInNewContext(code, context, { timeout });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new TextSearchError(`Regular expression took longer than ${timeout}ms; simplify the pattern`, 'SEARCH_TIMEOUT');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Test a value against a compiled user regex under the same time limit as regex search
+ */
+export function testUserRegex(pattern, value, timeout = DEFAULT_REGEX_TIMEOUT) {
+  return runWithTimeout('pattern.test(value)', { pattern, value }, timeout);
+}
+
+function collectRegexMatches(query, content, options) {
+  const { caseSensitive, wholeWord, maxResults, timeout } = options;
+  const pattern = compileUserRegex(query, caseSensitive ? 'g' : 'gi', wholeWord ? `\\b(?:${query})\\b` : query);
+  return runWithTimeout('collectMatches(pattern, content, maxResults)', {
+    collectMatches,
+    pattern,
+    content,
+    maxResults
+  }, timeout);
+}
+
+/**
+ * Fuzzy matches: runs of as many words as the query whose text is within `maxEdits` edits of it.
+ * Stops with SEARCH_TIMEOUT once the search has run for `timeout` ms.
+ */
+function collectFuzzyMatches(query, content, options) {
+  const { caseSensitive, maxResults, maxEdits = defaultMaxEdits(query), timeout } = options;
+
+  if (query.length > MAX_FUZZY_QUERY_LENGTH) {
+    throw new TextSearchError(`Fuzzy search query is too long (max ${MAX_FUZZY_QUERY_LENGTH} characters)`);
+  }
+  if (!Number.isInteger(maxEdits) || maxEdits < 0 || maxEdits > MAX_FUZZY_EDITS) {
+    throw new TextSearchError(`maxEdits must be a whole number from 0 to ${MAX_FUZZY_EDITS}`);
+  }
+
+  const normalize = text => {
+    const words = text.match(WORD)?.join(' ') || '';
+    return caseSensitive ? words : words.toLowerCase();
+  };
+
+  const target = normalize(query);
+  const wordCount = target.split(' ').length;
+  const words = Array.from(content.matchAll(WORD), match => ({ index: match.index, end: match.index + match[0].length }));
+  const matches = [];
+  let total = 0;
+  const deadline = Date.now() + timeout;
+
+  for (let i = 0; i + wordCount <= words.length; i++) {
+    if (i % FUZZY_CHECK_INTERVAL === 0 && Date.now() > deadline) {
+      throw new TextSearchError(`Fuzzy search took longer than ${timeout}ms; use a shorter query or fewer edits`, 'SEARCH_TIMEOUT');
+    }
+    const start = words[i].index;
+    const text = content.substring(start, words[i + wordCount - 1].end);
+    const distance = editDistance(normalize(text), target, maxEdits);
+    if (distance === Infinity) {
+      continue;
+    }
+
+    total++;
+    if (matches.length < maxResults) {
+      matches.push({ index: start, text, distance });
+    }
+    // Don't report overlapping windows of the same words twice
+    i += wordCount - 1;
+  }
+
+  return { total, matches };
+}
+
+/**
+ * Find a query in text.
+ *
+ * Modes:
+ * - literal: the query as typed; regex characters have no special meaning (default)
+ * - phrase: the query's words in order, across any spacing, punctuation or line breaks, as whole words
+ * - regex: a regular expression, rejected when invalid or likely to backtrack and stopped after `timeout` ms
+ * - fuzzy: words within `maxEdits` typos of the query (at most MAX_FUZZY_EDITS), stopped after `timeout` ms
+ *
+ * `totalMatches` counts every match; only the first `maxResults` are returned.
+ */
+export function searchText(content, query, options = {}) {
+  const {
+    mode = 'literal',
+    caseSensitive = false,
+    wholeWord = false,
+    maxResults = 10,
+    contextLength = 100,
+    maxEdits,
+    timeout = DEFAULT_REGEX_TIMEOUT
+  } = options;
+
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new TextSearchError(`Unknown search mode "${mode}". Use one of: ${SEARCH_MODES.join(', ')}`);
+  }
+  if (typeof query !== 'string' || !query.trim()) {
+    throw new TextSearchError('Search query is empty');
+  }
+
+  let found;
+  if (mode === 'regex') {
+    found = collectRegexMatches(query, content, { caseSensitive, wholeWord, maxResults, timeout });
+  } else if (mode === 'fuzzy') {
+    found = collectFuzzyMatches(query, content, { caseSensitive, maxResults, maxEdits, timeout });
+  } else {
+    const source = mode === 'phrase'
+      ? `${WORD_START}${query.match(WORD)?.map(escapeRegExp).join('[^\\p{L}\\p{N}]+') || escapeRegExp(query.trim())}${WORD_END}`
+      : wholeWord ? `${WORD_START}${escapeRegExp(query)}${WORD_END}` : escapeRegExp(query);
+    found = collectMatches(new RegExp(source, caseSensitive ? 'gu' : 'giu'), content, maxResults);
+  }
+
+  // Matches are in document order, so line numbers can be counted incrementally
+  let lineNumber = 1;
+  let counted = 0;
+  const matches = found.matches.map(({ index, text, distance }) => {
+    for (let i = counted; i < index; i++) {
+      if (content.charCodeAt(i) === 10) {
+        lineNumber++;
+      }
+    }
+    counted = index;
+
+    return {
+      match: text,
+      position: index,
+      context: content.substring(Math.max(0, index - contextLength), Math.min(content.length, index + text.length + contextLength)),
+      lineNumber,
+      ...(distance !== undefined && { distance })
+    };
+  });
+
+  return {
+    mode,
+    totalMatches: found.total,
+    truncated: found.total > matches.length,
+    matches
+  };
+}
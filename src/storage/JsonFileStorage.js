@@ -0,0 +1,112 @@
+import fs from 'fs-extra';
+import { WriteQueue, writeJsonAtomic } from './fileWrites.js';
+
+/**
+ * JSON file storage backend for agents and conversations.
+ * The whole store is kept in memory and written back to disk after every change.
+ */
+export class JsonFileStorage {
+  constructor(filePath = './data/agents.json') {
+    this.name = 'json';
+    this.filePath = filePath;
+    this.data = null;
+    this.writeQueue = new WriteQueue();
+  }
+
+  /**
+   * Load the store from disk on first use
+   */
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (await fs.pathExists(this.filePath)) {
+      const stored = await fs.readJson(this.filePath);
+      this.data = {
+        agents: stored.agents || {},
+        conversations: stored.conversations || {}
+      };
+    } else {
+      this.data = { agents: {}, conversations: {} };
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Persist the store (see writeJsonAtomic)
+   */
+  async persist() {
+    return this.writeQueue.run(() => writeJsonAtomic(this.filePath, this.data, { spaces: 2 }));
+  }
+
+  async getAgent(agentId) {
+    const data = await this.load();
+    return data.agents[agentId] || null;
+  }
+
+  async saveAgent(agent) {
+    const data = await this.load();
+    data.agents[agent.id] = agent;
+    await this.persist();
+    return agent;
+  }
+
+  async deleteAgent(agentId) {
+    const data = await this.load();
+    if (!data.agents[agentId]) {
+      return false;
+    }
+
+    delete data.agents[agentId];
+    await this.persist();
+    return true;
+  }
+
+  async listAgents() {
+    const data = await this.load();
+    return Object.values(data.agents);
+  }
+
+  async getConversation(conversationId) {
+    const data = await this.load();
+    return data.conversations[conversationId] || null;
+  }
+
+  async saveConversation(conversation) {
+    const data = await this.load();
+    data.conversations[conversation.id] = conversation;
+    await this.persist();
+    return conversation;
+  }
+
+  async deleteConversation(conversationId) {
+    const data = await this.load();
+    if (!data.conversations[conversationId]) {
+      return false;
+    }
+
+    delete data.conversations[conversationId];
+    await this.persist();
+    return true;
+  }
+
+  async listConversations(agentId) {
+    const data = await this.load();
+    const conversations = Object.values(data.conversations);
+    return agentId
+      ? conversations.filter(conversation => conversation.agentId === agentId)
+      : conversations;
+  }
+
+  async countAgents() {
+    const data = await this.load();
+    return Object.keys(data.agents).length;
+  }
+
+  async countConversations() {
+    const data = await this.load();
+    return Object.keys(data.conversations).length;
+  }
+}
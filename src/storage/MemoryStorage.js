@@ -0,0 +1,56 @@
+/**
+ * In-memory storage backend for agents and conversations.
+ * Data is lost when the process restarts.
+ */
+export class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.agents = new Map();
+    this.conversations = new Map();
+  }
+
+  async getAgent(agentId) {
+    return this.agents.get(agentId) || null;
+  }
+
+  async saveAgent(agent) {
+    this.agents.set(agent.id, agent);
+    return agent;
+  }
+
+  async deleteAgent(agentId) {
+    return this.agents.delete(agentId);
+  }
+
+  async listAgents() {
+    return Array.from(this.agents.values());
+  }
+
+  async getConversation(conversationId) {
+    return this.conversations.get(conversationId) || null;
+  }
+
+  async saveConversation(conversation) {
+    this.conversations.set(conversation.id, conversation);
+    return conversation;
+  }
+
+  async deleteConversation(conversationId) {
+    return this.conversations.delete(conversationId);
+  }
+
+  async listConversations(agentId) {
+    const conversations = Array.from(this.conversations.values());
+    return agentId
+      ? conversations.filter(conversation => conversation.agentId === agentId)
+      : conversations;
+  }
+
+  async countAgents() {
+    return this.agents.size;
+  }
+
+  async countConversations() {
+    return this.conversations.size;
+  }
+}
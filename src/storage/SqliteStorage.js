@@ -0,0 +1,106 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * SQLite storage backend for agents and conversations (uses better-sqlite3).
+ * Records are stored as JSON documents keyed by id.
+ */
+export class SqliteStorage {
+  constructor(filePath = './data/agents.db') {
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create tables on first use
+   */
+  async open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    // Loaded lazily so the native module is only required when SQLite is selected
+    const { default: Database } = await import('better-sqlite3');
+
+    await fs.ensureDir(path.dirname(this.filePath));
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS agents (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        created TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS conversations (
+        id TEXT PRIMARY KEY,
+        agent_id TEXT,
+        data TEXT NOT NULL,
+        created TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS conversations_agent_id ON conversations (agent_id);
+    `);
+
+    return this.db;
+  }
+
+  async getAgent(agentId) {
+    const db = await this.open();
+    const row = db.prepare('SELECT data FROM agents WHERE id = ?').get(agentId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async saveAgent(agent) {
+    const db = await this.open();
+    db.prepare('INSERT OR REPLACE INTO agents (id, data, created) VALUES (?, ?, ?)')
+      .run(agent.id, JSON.stringify(agent), agent.created);
+    return agent;
+  }
+
+  async deleteAgent(agentId) {
+    const db = await this.open();
+    return db.prepare('DELETE FROM agents WHERE id = ?').run(agentId).changes > 0;
+  }
+
+  async listAgents() {
+    const db = await this.open();
+    return db.prepare('SELECT data FROM agents ORDER BY created').all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  async getConversation(conversationId) {
+    const db = await this.open();
+    const row = db.prepare('SELECT data FROM conversations WHERE id = ?').get(conversationId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async saveConversation(conversation) {
+    const db = await this.open();
+    db.prepare('INSERT OR REPLACE INTO conversations (id, agent_id, data, created) VALUES (?, ?, ?, ?)')
+      .run(conversation.id, conversation.agentId, JSON.stringify(conversation), conversation.created);
+    return conversation;
+  }
+
+  async deleteConversation(conversationId) {
+    const db = await this.open();
+    return db.prepare('DELETE FROM conversations WHERE id = ?').run(conversationId).changes > 0;
+  }
+
+  async listConversations(agentId) {
+    const db = await this.open();
+    const rows = agentId
+      ? db.prepare('SELECT data FROM conversations WHERE agent_id = ? ORDER BY created').all(agentId)
+      : db.prepare('SELECT data FROM conversations ORDER BY created').all();
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async countAgents() {
+    const db = await this.open();
+    return db.prepare('SELECT COUNT(*) AS count FROM agents').get().count;
+  }
+
+  async countConversations() {
+    const db = await this.open();
+    return db.prepare('SELECT COUNT(*) AS count FROM conversations').get().count;
+  }
+}
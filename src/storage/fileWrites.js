@@ -0,0 +1,43 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+let tempCounter = 0;
+
+/**
+ * Run file writes one at a time, in order. A failed write rejects only its own caller;
+ * the queue carries on, so one full disk or permission error doesn't lose every later write.
+ */
+export class WriteQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  run(task) {
+    const result = this.tail.then(task);
+    this.tail = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Resolves once every write queued so far has finished
+   */
+  idle() {
+    return this.tail;
+  }
+}
+
+/**
+ * Write JSON to a temp file first and move it into place, so a crash never leaves a truncated file.
+ * Temp names are unique, so writers sharing a file don't write over each other's temp file.
+ */
+export async function writeJsonAtomic(filePath, data, options = {}) {
+  await fs.ensureDir(path.dirname(filePath));
+  const tempPath = `${filePath}.${process.pid}-${++tempCounter}.tmp`;
+  try {
+    await fs.writeJson(tempPath, data, options);
+    await fs.move(tempPath, filePath, { overwrite: true });
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+}
@@ -0,0 +1,21 @@
+import { MemoryStorage } from './MemoryStorage.js';
+import { JsonFileStorage } from './JsonFileStorage.js';
+import { SqliteStorage } from './SqliteStorage.js';
+
+export { MemoryStorage, JsonFileStorage, SqliteStorage };
+
+/**
+ * Create the storage backend selected by AGENT_STORAGE (memory, json or sqlite)
+ */
+export function createStorage(type = process.env.AGENT_STORAGE || 'json', filePath = process.env.AGENT_STORAGE_PATH) {
+  switch (type.toLowerCase()) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'json':
+      return new JsonFileStorage(filePath);
+    case 'sqlite':
+      return new SqliteStorage(filePath);
+    default:
+      throw new Error(`Unknown storage backend: ${type}. Use memory, json or sqlite.`);
+  }
+}
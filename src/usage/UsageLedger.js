@@ -0,0 +1,194 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { calculateCost } from '../config/pricing.js';
+import { getRequestContext } from './requestContext.js';
+import { WriteQueue } from '../storage/fileWrites.js';
+
+const GROUP_FIELDS = ['agent', 'model', 'apiKey', 'type', 'day', 'provider'];
+
+/**
+ * Append-only usage ledger: one JSON line per upstream request with tokens,
+ * characters (TTS) or images, and the cost computed from the price table.
+ */
+export class UsageLedger {
+  constructor(filePath = process.env.USAGE_LEDGER_PATH || './data/usage.jsonl') {
+    this.name = 'UsageLedger';
+    this.filePath = filePath;
+    this.entries = null;
+    this.writeQueue = new WriteQueue();
+  }
+
+  /**
+   * Load existing entries from disk on first use
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = [];
+    if (await fs.pathExists(this.filePath)) {
+      const lines = (await fs.readFile(this.filePath, 'utf8')).split('\n');
+      for (const line of lines) {
+        if (line.trim()) {
+          try {
+            this.entries.push(JSON.parse(line));
+          } catch {
+            // Skip a partially written line
+          }
+        }
+      }
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Record one upstream request. Request ID and API key come from the current request context.
+   */
+  async record(usage) {
+    const context = getRequestContext();
+    const entry = {
+      timestamp: new Date().toISOString(),
+      requestId: context.requestId || null,
+      apiKey: context.apiKey || 'internal',
+      agent: usage.agent || 'unknown',
+      provider: usage.provider || null,
+      type: usage.type,
+      model: usage.model || null,
+      promptTokens: usage.promptTokens || 0,
+      completionTokens: usage.completionTokens || 0,
+      characters: usage.characters || 0,
+      images: usage.images || 0,
+      size: usage.size,
+      quality: usage.quality
+    };
+    entry.cost = calculateCost(entry);
+
+    try {
+      const entries = await this.load();
+      entries.push(entry);
+
+      await this.writeQueue.run(async () => {
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+      });
+    } catch (error) {
+      // Usage accounting must never break the request it describes
+      console.error('Usage ledger write error:', error.message);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Query usage within a date range, optionally filtered and grouped
+   * (groupBy: any of agent, model, apiKey, type, day, provider)
+   */
+  async query(options = {}) {
+    const { from, to, groupBy = [], agent, model, apiKey, type } = options;
+    const groupFields = (Array.isArray(groupBy) ? groupBy : String(groupBy).split(','))
+      .map(field => field.trim())
+      .filter(Boolean);
+
+    const invalidField = groupFields.find(field => !GROUP_FIELDS.includes(field));
+    if (invalidField) {
+      throw new Error(`Invalid groupBy field: ${invalidField}. Use: ${GROUP_FIELDS.join(', ')}`);
+    }
+
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    // A bare date ("2026-10-19") as the upper bound includes that whole day
+    const toTime = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 86400000 - 1 : 0) : Infinity;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw new Error('Invalid date range: use ISO dates such as 2026-01-31');
+    }
+
+    const entries = (await this.load()).filter(entry => {
+      const time = Date.parse(entry.timestamp);
+      return time >= fromTime && time <= toTime
+        && (!agent || entry.agent === agent)
+        && (!model || entry.model === model)
+        && (!apiKey || entry.apiKey === apiKey)
+        && (!type || entry.type === type);
+    });
+
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = Object.fromEntries(groupFields.map(field => [
+        field,
+        field === 'day' ? entry.timestamp.substring(0, 10) : entry[field]
+      ]));
+      const groupKey = JSON.stringify(key);
+
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { key, ...this.emptyTotals() });
+      }
+      this.addToTotals(groups.get(groupKey), entry);
+    }
+
+    const totals = this.emptyTotals();
+    entries.forEach(entry => this.addToTotals(totals, entry));
+
+    return {
+      from: from || null,
+      to: to || null,
+      groupBy: groupFields,
+      totals: this.roundCost(totals),
+      groups: groupFields.length > 0
+        ? Array.from(groups.values()).map(group => this.roundCost(group)).sort((a, b) => b.cost - a.cost)
+        : []
+    };
+  }
+
+  emptyTotals() {
+    return {
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      characters: 0,
+      images: 0,
+      cost: 0,
+      unpricedRequests: 0
+    };
+  }
+
+  addToTotals(totals, entry) {
+    totals.requests++;
+    totals.promptTokens += entry.promptTokens;
+    totals.completionTokens += entry.completionTokens;
+    totals.totalTokens += entry.promptTokens + entry.completionTokens;
+    totals.characters += entry.characters;
+    totals.images += entry.images;
+    if (entry.cost === null) {
+      totals.unpricedRequests++;
+    } else {
+      totals.cost += entry.cost;
+    }
+  }
+
+  roundCost(totals) {
+    return { ...totals, cost: Math.round(totals.cost * 1e6) / 1e6 };
+  }
+}
+
+export const usageLedger = new UsageLedger();
+
+/**
+ * Record the usage block of a chat or embeddings response
+ */
+export function recordCompletionUsage(response, { agent, provider, type = 'chat' } = {}) {
+  if (!response?.usage) {
+    return;
+  }
+
+  // Not awaited: accounting runs alongside the response
+  usageLedger.record({
+    type,
+    agent,
+    provider,
+    model: response.model,
+    promptTokens: response.usage.prompt_tokens,
+    completionTokens: response.usage.completion_tokens
+  });
+}
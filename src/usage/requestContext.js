@@ -0,0 +1,35 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Identify the caller's API key without storing it: "key_" + first 12 hex chars of its SHA-256
+ */
+export function fingerprintApiKey(apiKey) {
+  if (!apiKey) {
+    return 'anonymous';
+  }
+  return `key_${crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 12)}`;
+}
+
+/**
+ * Express middleware that makes the caller's API key and a request ID available to code
+ * running for that request (read with getRequestContext)
+ */
+export function requestContextMiddleware(req, res, next) {
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const apiKey = req.headers['x-api-key'] || bearer;
+
+  storage.run({
+    requestId: crypto.randomUUID(),
+    apiKey: fingerprintApiKey(apiKey)
+  }, next);
+}
+
+/**
+ * Context of the current request, or an empty object outside of one
+ */
+export function getRequestContext() {
+  return storage.getStore() || {};
+}